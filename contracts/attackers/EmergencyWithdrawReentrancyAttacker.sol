@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ReentrancyAttacker.sol";
+
+/**
+ * @title EmergencyWithdrawReentrancyAttacker
+ * @dev Re-enters emergencyWithdraw to try to drain the fees twice
+ */
+contract EmergencyWithdrawReentrancyAttacker is ReentrancyAttacker {
+    constructor(address payable token_) ReentrancyAttacker(token_) {}
+
+    function _reentryCall() internal pure override returns (uint256 value, bytes memory data) {
+        value = 0;
+        data = abi.encodeCall(MyToken.emergencyWithdraw, ());
+    }
+}
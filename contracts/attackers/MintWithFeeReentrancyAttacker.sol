@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ReentrancyAttacker.sol";
+
+/**
+ * @title MintWithFeeReentrancyAttacker
+ * @dev Re-enters mintWithFee, paying the fee out of the withdrawn ETH
+ */
+contract MintWithFeeReentrancyAttacker is ReentrancyAttacker {
+    uint256 public constant MINT_AMOUNT = 1_000 * 10**18;
+
+    constructor(address payable token_) ReentrancyAttacker(token_) {}
+
+    function _reentryCall() internal view override returns (uint256 value, bytes memory data) {
+        value = token.mintingFee();
+        data = abi.encodeCall(MyToken.mintWithFee, (address(this), MINT_AMOUNT));
+    }
+}
@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../MyToken.sol";
+
+/**
+ * @title ReentrancyAttacker
+ * @dev Base for test contracts that try to re-enter MyToken from receive().
+ * The attacker must own the token so that emergencyWithdraw pays out to it;
+ * the payout then triggers receive(), which makes one reentrant call.
+ */
+abstract contract ReentrancyAttacker {
+    MyToken public immutable token;
+
+    // When true the reentrant revert is bubbled up instead of being logged
+    bool public bubbleReentryRevert;
+    uint256 public reentryAttempts;
+
+    bool private _attacking;
+
+    event ReentryAttempted(bool succeeded, bytes reason);
+
+    constructor(address payable token_) {
+        token = MyToken(token_);
+    }
+
+    function setBubbleReentryRevert(bool bubble) external {
+        bubbleReentryRevert = bubble;
+    }
+
+    /**
+     * @dev Start the attack by withdrawing the token's collected fees
+     */
+    function attack() external {
+        _attacking = true;
+        token.emergencyWithdraw();
+        _attacking = false;
+    }
+
+    /**
+     * @dev Value and calldata of the reentrant call
+     */
+    function _reentryCall() internal view virtual returns (uint256 value, bytes memory data);
+
+    receive() external payable {
+        if (!_attacking) return;
+
+        // Re-enter only once
+        _attacking = false;
+        reentryAttempts++;
+
+        (uint256 value, bytes memory data) = _reentryCall();
+        (bool success, bytes memory reason) = address(token).call{value: value}(data);
+
+        if (!success && bubbleReentryRevert) {
+            assembly {
+                revert(add(reason, 32), mload(reason))
+            }
+        }
+
+        emit ReentryAttempted(success, reason);
+    }
+}
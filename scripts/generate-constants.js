@@ -0,0 +1,38 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  readPublicConstants,
+  buildAbiConstants,
+  renderConstantsModule,
+} = require("../test/helpers/abiConstants");
+
+/**
+ * Regenerate test/helpers/generated/MyToken.js from the compiled artifact
+ *
+ * Usage: npx hardhat run scripts/generate-constants.js
+ */
+
+const OUTPUT_FILE = path.join(__dirname, "..", "test", "helpers", "generated", "MyToken.js");
+
+async function main() {
+  await hre.run("compile");
+
+  const artifact = await hre.artifacts.readArtifact("MyToken");
+
+  // Public constant values are read from a throwaway deployment
+  const MyToken = await hre.ethers.getContractFactory("MyToken");
+  const token = await MyToken.deploy("MyToken", "MTK", 0);
+
+  const tables = buildAbiConstants(artifact.abi, await readPublicConstants(token));
+
+  fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
+  fs.writeFileSync(OUTPUT_FILE, renderConstantsModule("MyToken", tables));
+
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
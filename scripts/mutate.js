@@ -0,0 +1,347 @@
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+
+/**
+ * Mutation testing for contracts/MyToken.sol
+ *
+ * Applies one small bug at a time to the contract, runs the test suite
+ * against it and reports the mutants no test caught, with their line and
+ * the tests that exercise the mutated function.
+ *
+ * Usage:
+ *   node scripts/mutate.js                       # every mutant, full suite
+ *   node scripts/mutate.js --list                # list mutants without running
+ *   node scripts/mutate.js --operators emit,modifier
+ *   node scripts/mutate.js --tests test/unit/MyToken.advanced.test.js
+ *   node scripts/mutate.js --json mutation-report.json --fail-on-survivors
+ *
+ * The original contract is restored when the run ends. Ctrl-C or SIGTERM
+ * stops the running hardhat process, restores the contract and ends the
+ * run without reporting the interrupted mutant.
+ */
+
+const ROOT = path.join(__dirname, "..");
+const CONTRACT = path.join("contracts", "MyToken.sol");
+const TEST_DIR = path.join(ROOT, "test");
+const MUTANT_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_LISTED_TESTS = 10;
+
+const COMPARISON_FLIPS = { "<": "<=", "<=": "<", ">": ">=", ">=": ">", "==": "!=", "!=": "==" };
+const MODIFIERS = ["onlyOwner", "whenNotPaused", "nonReentrant"];
+
+// Code that tests don't call by name, and the calls that reach it
+const ENTRY_POINTS = {
+  constructor: ["deploy"],
+  receive: ["sendTransaction"],
+  _update: ["transfer", "transferFrom", "mint", "mintWithFee", "burn"],
+};
+
+// Code part of a line: no comments, no pragma/import
+function codeOf(line) {
+  const trimmed = line.trim();
+  if (/^(\/\/|\/\*|\*|pragma|import)/.test(trimmed)) return "";
+  const comment = line.indexOf("//");
+  return comment === -1 ? line : line.slice(0, comment);
+}
+
+/**
+ * Mutation operators: each maps a line to the mutated versions of it
+ */
+const OPERATORS = {
+  // < to <=, == to != and so on, one occurrence at a time
+  comparison(line) {
+    const code = codeOf(line);
+    const pattern = /(?<![<>=!])(<=|>=|==|!=|<|>)(?![<>=])/g;
+    const mutants = [];
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+      const flipped = COMPARISON_FLIPS[match[1]];
+      mutants.push({
+        mutated: line.slice(0, match.index) + flipped + line.slice(match.index + match[1].length),
+        description: `${match[1]} -> ${flipped}`,
+      });
+    }
+    return mutants;
+  },
+
+  // Remove access-control, pause and reentrancy modifiers from declarations
+  modifier(line) {
+    const code = codeOf(line);
+    return MODIFIERS
+      .filter((modifier) => new RegExp(`\\b${modifier}\\b`).test(code))
+      .map((modifier) => ({
+        mutated: line.replace(new RegExp(`\\s${modifier}\\b`), ""),
+        description: `remove ${modifier}`,
+      }));
+  },
+
+  // Drop emit statements
+  emit(line) {
+    const match = codeOf(line).match(/emit\s+(\w+)\([^;]*\);/);
+    if (!match) return [];
+    return [{ mutated: line.replace(match[0], ""), description: `drop emit ${match[1]}` }];
+  },
+
+  // Double the first literal of a constant or initialised state variable
+  constant(line) {
+    const code = codeOf(line);
+    if (!/^\s*uint256\s+public\s+(constant\s+)?\w+\s*=/.test(code)) return [];
+    const match = code.match(/=\s*([\d_]+(?:\.\d+)?)/);
+    if (!match) return [];
+    const value = Number(match[1].replace(/_/g, ""));
+    const index = code.indexOf(match[1], match.index);
+    return [{
+      mutated: line.slice(0, index) + String(value * 2) + line.slice(index + match[1].length),
+      description: `${match[1]} -> ${value * 2}`,
+    }];
+  },
+};
+
+/**
+ * Name of the function (or state variable) a line belongs to
+ */
+function enclosingName(lines, index) {
+  const own = lines[index].match(/\b(?:constant\s+|public\s+)(\w+)\s*=/);
+  if (own) return own[1];
+
+  for (let i = index; i >= 0; i--) {
+    const match = lines[i].match(/\bfunction\s+(\w+)|\b(constructor|receive)\s*\(/);
+    if (match) return match[1] || match[2];
+  }
+  return null;
+}
+
+/**
+ * Every mutant of a Solidity source, in line order
+ */
+function generateMutants(source, operators = Object.keys(OPERATORS)) {
+  const lines = source.split("\n");
+  const mutants = [];
+
+  lines.forEach((line, index) => {
+    for (const operator of operators) {
+      for (const { mutated, description } of OPERATORS[operator](line)) {
+        mutants.push({
+          id: mutants.length + 1,
+          operator,
+          line: index + 1,
+          target: enclosingName(lines, index),
+          description,
+          original: line.trim(),
+          mutated: mutated.trim(),
+          source: [...lines.slice(0, index), mutated, ...lines.slice(index + 1)].join("\n"),
+        });
+      }
+    }
+  });
+  return mutants;
+}
+
+function listTestFiles(directory) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(directory, entry.name);
+    if (entry.isDirectory()) return listTestFiles(full);
+    return entry.name.endsWith(".js") ? [full] : [];
+  });
+}
+
+/**
+ * Tests whose body calls the mutated function, as "file: title"
+ */
+function findCoveringTests(target, testFiles) {
+  if (!target) return [];
+  const names = Object.hasOwn(ENTRY_POINTS, target) ? ENTRY_POINTS[target] : [target];
+  const callPattern = new RegExp(`\\.(${names.join("|")})\\(`);
+  const covering = [];
+
+  for (const file of testFiles) {
+    const source = fs.readFileSync(file, "utf8");
+    const blocks = source.split(/(?=\bit\(\s*["'`])/).slice(1);
+    for (const block of blocks) {
+      const title = block.match(/^it\(\s*["'`](.*?)["'`]/);
+      const body = block.split(/\n\s*(?:describe|it)\(/)[0];
+      if (title && callPattern.test(body)) {
+        covering.push(`${path.relative(ROOT, file)}: ${title[1]}`);
+      }
+    }
+  }
+  return covering;
+}
+
+// The hardhat process currently running, and the signal that interrupted the run
+let running = null;
+let interrupted = null;
+
+// npx starts hardhat as its own child; it runs in a separate process group so both stop together
+function stop(child) {
+  try {
+    process.kill(-child.pid, "SIGTERM");
+  } catch (error) {
+    if (error.code !== "ESRCH") throw error;
+  }
+}
+
+function hardhat(args) {
+  return new Promise((resolve) => {
+    const child = spawn("npx", ["hardhat", ...args], {
+      cwd: ROOT,
+      stdio: "ignore",
+      detached: true,
+      env: { ...process.env, CI: "true" },
+    });
+    running = child;
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      stop(child);
+    }, MUTANT_TIMEOUT_MS);
+
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      running = null;
+      resolve({ status: null, signal: null, timedOut, error });
+    });
+    child.on("close", (status, signal) => {
+      clearTimeout(timer);
+      running = null;
+      resolve({ status, signal, timedOut });
+    });
+  });
+}
+
+/**
+ * Outcome of a hardhat run; throws when the run was interrupted, so an
+ * aborted test run is never counted as a killed mutant
+ */
+function checkRun(result) {
+  if (interrupted) throw new Error(`Interrupted by ${interrupted}`);
+  if (result.error) throw result.error;
+  if (result.timedOut) return "timeout";
+  if (result.signal) throw new Error(`hardhat was stopped by ${result.signal}`);
+  return result.status === 0 ? "passed" : "failed";
+}
+
+/**
+ * Compile and test one mutant: "killed", "survived", "invalid" or "timeout"
+ */
+async function runMutant(mutant, testFiles) {
+  fs.writeFileSync(path.join(ROOT, CONTRACT), mutant.source);
+
+  const compiled = checkRun(await hardhat(["compile", "--quiet"]));
+  if (compiled === "timeout") return "timeout";
+  if (compiled === "failed") return "invalid";
+
+  const tested = checkRun(await hardhat(["test", "--no-compile", ...testFiles]));
+  if (tested === "timeout") return "timeout";
+  return tested === "passed" ? "survived" : "killed";
+}
+
+function parseArgs(argv) {
+  const options = { operators: Object.keys(OPERATORS), tests: [], list: false, json: null, failOnSurvivors: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--list") options.list = true;
+    else if (arg === "--fail-on-survivors") options.failOnSurvivors = true;
+    else if (arg === "--operators") options.operators = argv[++i].split(",");
+    else if (arg === "--tests") options.tests = argv[++i].split(",");
+    else if (arg === "--json") options.json = argv[++i];
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  const unknown = options.operators.filter((operator) => !OPERATORS[operator]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown operators: ${unknown.join(", ")}; available: ${Object.keys(OPERATORS).join(", ")}`);
+  }
+  return options;
+}
+
+function describeMutant(mutant) {
+  return `#${mutant.id} ${CONTRACT}:${mutant.line} [${mutant.operator}] ${mutant.description}`;
+}
+
+function describeChange(mutant) {
+  return `    - ${mutant.original}\n    + ${mutant.mutated || "(removed)"}`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const contractPath = path.join(ROOT, CONTRACT);
+  const original = fs.readFileSync(contractPath, "utf8");
+  const mutants = generateMutants(original, options.operators);
+
+  if (options.list) {
+    for (const mutant of mutants) {
+      console.log(`${describeMutant(mutant)}\n${describeChange(mutant)}`);
+    }
+    return;
+  }
+
+  const restore = () => fs.writeFileSync(contractPath, original);
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      interrupted = signal;
+      if (running) stop(running);
+    });
+  }
+
+  const results = [];
+  try {
+    for (const mutant of mutants) {
+      const status = await runMutant(mutant, options.tests);
+      results.push({ ...mutant, status });
+      console.log(`${status.padEnd(8)} ${describeMutant(mutant)}`);
+    }
+  } finally {
+    restore();
+  }
+
+  const testFiles = listTestFiles(TEST_DIR);
+  const survivors = results.filter((result) => result.status === "survived");
+  const valid = results.filter((result) => result.status === "killed" || result.status === "survived");
+  const score = valid.length === 0 ? 100 : ((valid.length - survivors.length) / valid.length) * 100;
+
+  console.log(`\nMutation score: ${score.toFixed(1)}% (${valid.length - survivors.length}/${valid.length} killed)`);
+  for (const status of ["invalid", "timeout"]) {
+    const count = results.filter((result) => result.status === status).length;
+    if (count > 0) console.log(`${count} mutants ${status}`);
+  }
+
+  for (const survivor of survivors) {
+    survivor.coveringTests = findCoveringTests(survivor.target, testFiles);
+    console.log(`\nSurvived ${describeMutant(survivor)}`);
+    console.log(describeChange(survivor));
+    if (survivor.coveringTests.length === 0) {
+      console.log(`  No test calls ${survivor.target || "this code"}`);
+      continue;
+    }
+    const shown = survivor.coveringTests.slice(0, MAX_LISTED_TESTS);
+    const hidden = survivor.coveringTests.length - shown.length;
+    console.log(`  Tests that exercise ${survivor.target} and should have caught it:\n    ${shown.join("\n    ")}`);
+    if (hidden > 0) console.log(`    ... and ${hidden} more (see --json)`);
+  }
+
+  if (options.json) {
+    const report = results.map(({ source, ...result }) => result);
+    fs.writeFileSync(path.resolve(options.json), JSON.stringify({ score, mutants: report }, null, 2) + "\n");
+  }
+
+  if (options.failOnSurvivors && survivors.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = interrupted === "SIGINT" ? 130 : interrupted === "SIGTERM" ? 143 : 1;
+  });
+}
+
+module.exports = {
+  MUTATION_OPERATORS: Object.keys(OPERATORS),
+  generateMutants,
+  findCoveringTests,
+};
@@ -0,0 +1,132 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Derive error, event and public constant tables from a compiled ABI
+ *
+ * Used by scripts/generate-constants.js to write test/helpers/generated/
+ * and by test/unit/Constants.test.js to check constants.js against the ABI.
+ */
+
+// AccountBlacklisted -> ACCOUNT_BLACKLISTED, ERC20InvalidSender -> ERC20_INVALID_SENDER
+function toConstantCase(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/([A-Z])([A-Z][a-z])/g, "$1_$2")
+    .toUpperCase();
+}
+
+// The ABI can't tell constants from state variables, so rely on naming:
+// parameterless UPPER_CASE getters such as MAX_SUPPLY and MINT_COOLDOWN
+function isPublicConstant(fragment) {
+  return (
+    ["view", "pure"].includes(fragment.stateMutability) &&
+    fragment.inputs.length === 0 &&
+    fragment.outputs.length === 1 &&
+    /^[A-Z][A-Z0-9_]*$/.test(fragment.name)
+  );
+}
+
+/**
+ * Read the value of every public constant of a deployed contract
+ */
+async function readPublicConstants(contract) {
+  const values = {};
+  const fragments = [];
+  contract.interface.forEachFunction((fragment) => {
+    if (isPublicConstant(fragment)) fragments.push(fragment);
+  });
+
+  for (const fragment of fragments) {
+    values[fragment.name] = await contract[fragment.name]();
+  }
+  return values;
+}
+
+// Code point order keeps the generated file identical across locales
+function byName(a, b) {
+  if (a.name === b.name) return 0;
+  return a.name < b.name ? -1 : 1;
+}
+
+/**
+ * Build the constant tables for an ABI and the values of its public constants
+ */
+function buildAbiConstants(abi, constantValues = {}) {
+  const iface = new ethers.Interface(abi);
+  const errors = [];
+  const events = [];
+  iface.forEachError((fragment) => errors.push(fragment));
+  iface.forEachEvent((fragment) => events.push(fragment));
+  errors.sort(byName);
+  events.sort(byName);
+
+  return {
+    ERRORS: Object.fromEntries(errors.map((e) => [toConstantCase(e.name), e.name])),
+    EVENTS: Object.fromEntries(events.map((e) => [toConstantCase(e.name), e.name])),
+    CONSTANTS: Object.fromEntries(
+      Object.keys(constantValues).sort().map((name) => [name, constantValues[name]])
+    ),
+    ERROR_SIGNATURES: Object.fromEntries(errors.map((e) => [e.name, e.format("full")])),
+    EVENT_SIGNATURES: Object.fromEntries(events.map((e) => [e.name, e.format("full")])),
+  };
+}
+
+function renderValue(value) {
+  return typeof value === "bigint" ? `${value}n` : JSON.stringify(value);
+}
+
+function renderKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Render the tables as a CommonJS module
+ */
+function renderConstantsModule(contractName, tables) {
+  const sections = Object.entries(tables).map(([table, entries]) => {
+    const lines = Object.entries(entries).map(([key, value]) => `    ${renderKey(key)}: ${renderValue(value)},`);
+    return `  ${table}: {\n${lines.join("\n")}\n  },`;
+  });
+
+  return [
+    `// Generated by scripts/generate-constants.js from the ${contractName} artifact.`,
+    "// Do not edit by hand; re-run `npx hardhat run scripts/generate-constants.js`.",
+    "",
+    "module.exports = {",
+    ...sections,
+    "};",
+    "",
+  ].join("\n");
+}
+
+/**
+ * List entries of *_ERRORS and *_EVENTS tables that the ABI doesn't declare
+ */
+function findStaleReferences(constants, abi) {
+  const { ERRORS, EVENTS } = buildAbiConstants(abi);
+  const declared = {
+    ERRORS: new Set(Object.values(ERRORS)),
+    EVENTS: new Set(Object.values(EVENTS)),
+  };
+
+  const stale = [];
+  for (const [table, entries] of Object.entries(constants)) {
+    const kind = ["ERRORS", "EVENTS"].find((suffix) => table.endsWith(`_${suffix}`));
+    if (!kind) continue;
+
+    for (const [key, name] of Object.entries(entries)) {
+      if (!declared[kind].has(name)) {
+        stale.push(`${table}.${key} = "${name}"`);
+      }
+    }
+  }
+  return stale;
+}
+
+module.exports = {
+  toConstantCase,
+  readPublicConstants,
+  buildAbiConstants,
+  renderConstantsModule,
+  findStaleReferences,
+};
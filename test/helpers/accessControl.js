@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { artifacts } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { Errors, expectRevert } = require("./errors");
+
+/**
+ * ABI-driven access-control tests
+ *
+ * Usage:
+ *   describeAccessControl("MyToken", deployTokenFixture, {
+ *     ownerOnly: {
+ *       mint: { args: ({ addr1 }) => [addr1.address, ONE_TOKEN] },
+ *       unpause: { setup: ({ token }) => token.pause() },
+ *     },
+ *     unrestricted: ["transfer", "approve"],
+ *   });
+ *
+ * For every owner-only function, each non-owner signer must revert with
+ * OwnableUnauthorizedAccount(caller) and the owner must succeed. Every
+ * state-changing function in the ABI has to be listed in one of the two
+ * maps, so a new admin function fails the suite until it is annotated.
+ * `tags` is appended to the suite title, e.g. "@REQ-ACCESS".
+ */
+
+/**
+ * Names of the contract's state-changing functions, read from its artifact
+ */
+function stateChangingFunctions(contractName) {
+  const { abi } = artifacts.readArtifactSync(contractName);
+  return abi
+    .filter((entry) => entry.type === "function")
+    .filter((entry) => ["nonpayable", "payable"].includes(entry.stateMutability))
+    .map((entry) => entry.name)
+    .sort();
+}
+
+async function prepare(fixture, annotation) {
+  const accounts = await loadFixture(fixture);
+  if (annotation.setup) {
+    await annotation.setup(accounts);
+  }
+  const args = annotation.args ? annotation.args(accounts) : [];
+  const overrides = annotation.value === undefined ? [] : [{ value: annotation.value }];
+  return { accounts, callArgs: [...args, ...overrides] };
+}
+
+/**
+ * Generate the access-control suite for a contract
+ */
+function describeAccessControl(contractName, fixture, {
+  ownerOnly,
+  unrestricted = [],
+  nonOwners = ["addr1", "addr2", "addr3"],
+  tags = "",
+}) {
+  const functions = stateChangingFunctions(contractName);
+
+  describe(`${contractName} - Access Control Tests ${tags}`.trim(), function () {
+    it("Should annotate every state-changing function", function () {
+      const annotated = [...Object.keys(ownerOnly), ...unrestricted];
+      const unannotated = functions.filter((name) => !annotated.includes(name));
+      const unknown = annotated.filter((name) => !functions.includes(name));
+
+      expect(unannotated, `Unannotated functions: ${unannotated.join(", ")}`).to.be.empty;
+      expect(unknown, `Annotated functions missing from the ABI: ${unknown.join(", ")}`).to.be.empty;
+    });
+
+    for (const [name, annotation] of Object.entries(ownerOnly)) {
+      describe(name, function () {
+        for (const caller of nonOwners) {
+          it(`Should revert for non-owner ${caller}`, async function () {
+            const { accounts, callArgs } = await prepare(fixture, annotation);
+            const signer = accounts[caller];
+
+            await expectRevert(
+              accounts.token.connect(signer)[name](...callArgs),
+              Errors.OwnableUnauthorizedAccount,
+              { account: signer.address }
+            );
+          });
+        }
+
+        it("Should succeed for the owner", async function () {
+          const { accounts, callArgs } = await prepare(fixture, annotation);
+
+          await expect(accounts.token.connect(accounts.owner)[name](...callArgs)).not.to.be.reverted;
+        });
+      });
+    }
+  });
+}
+
+module.exports = {
+  stateChangingFunctions,
+  describeAccessControl,
+};
@@ -0,0 +1,73 @@
+const { ethers } = require("hardhat");
+const { tokenFixture } = require("./fixtureBuilder");
+const { defineFixture } = require("./fixtureRegistry");
+
+/**
+ * Drivers for the reentrancy attacker contracts in contracts/attackers/
+ *
+ * Each attacker is made owner of the token so that emergencyWithdraw pays
+ * the collected fees into its receive(), which then makes one reentrant call.
+ */
+
+const feesCollectedScenario = tokenFixture()
+  .withFeesCollected(1)
+  .build("feesCollectedScenario");
+
+/**
+ * Deploy an attacker against a token with fees collected and hand it ownership
+ */
+async function deployAttacker(contractName, deployed) {
+  const { token } = deployed;
+
+  const Attacker = await ethers.getContractFactory(contractName);
+  const attacker = await Attacker.deploy(await token.getAddress());
+  await token.transferOwnership(await attacker.getAddress());
+
+  return {
+    attacker,
+    collectedFees: deployed.state.contractEthBalance,
+  };
+}
+
+/**
+ * Attacker that re-enters mintWithFee from receive()
+ */
+const deployMintWithFeeAttackFixture = defineFixture(
+  "mintWithFeeAttack",
+  { parent: feesCollectedScenario },
+  (deployed) => deployAttacker("MintWithFeeReentrancyAttacker", deployed)
+);
+
+/**
+ * Attacker that re-enters emergencyWithdraw from receive()
+ */
+const deployEmergencyWithdrawAttackFixture = defineFixture(
+  "emergencyWithdrawAttack",
+  { parent: feesCollectedScenario },
+  (deployed) => deployAttacker("EmergencyWithdrawReentrancyAttacker", deployed)
+);
+
+/**
+ * Decode the ReentryAttempted events of a mined transaction.
+ * `error` is the token custom error the reentrant call reverted with, if any.
+ */
+async function getReentryAttempts(token, attacker, tx) {
+  const receipt = await tx.wait();
+  const attackerAddress = await attacker.getAddress();
+
+  return receipt.logs
+    .filter((log) => log.address === attackerAddress)
+    .map((log) => attacker.interface.parseLog(log))
+    .filter((event) => event && event.name === "ReentryAttempted")
+    .map((event) => ({
+      succeeded: event.args.succeeded,
+      reason: event.args.reason,
+      error: event.args.succeeded ? null : token.interface.parseError(event.args.reason),
+    }));
+}
+
+module.exports = {
+  deployMintWithFeeAttackFixture,
+  deployEmergencyWithdrawAttackFixture,
+  getReentryAttempts,
+};
@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { ONE_GWEI } = require("./constants");
+
+/**
+ * Same-block transaction ordering
+ *
+ * Usage:
+ *   const block = await mineInOrder([
+ *     { label: "lower", from: addr1, contract: token, method: "approve", args: [spender.address, 50n] },
+ *     { label: "spend", from: spender, contract: token, method: "transferFrom", args: [addr1.address, to, 100n] },
+ *   ]);
+ *
+ *   const block = await mineByPriority([
+ *     { label: "mint", from: addr1, contract: token, method: "mintWithFee", args, value: fee, priorityFee: ONE_GWEI },
+ *     { label: "raise", from: owner, contract: token, method: "setMintingFee", args: [fee * 2n], priorityFee: 10n * ONE_GWEI },
+ *   ]);
+ *
+ *   expectOutcomes(block, { raise: "success", mint: Errors.InsufficientFee });
+ *
+ * Both turn automine off, send the transactions in the order listed, mine
+ * one block and turn automine back on. mineInOrder gives each transaction a
+ * smaller priority fee than the one before, so the block keeps the listed
+ * order; mineByPriority uses each entry's `priorityFee` and leaves the
+ * ordering to Hardhat's mempool, which puts higher fees first and keeps
+ * arrival order for ties. Transactions from one sender always stay in nonce
+ * order. With `mining.mempool.order: "fifo"` in the Hardhat config, fees are
+ * ignored and both keep the listed order.
+ *
+ * The block is { blockNumber, order, results, outcome(label) }; `order` lists
+ * labels as mined and each result is { label, position, status, error,
+ * events, gasUsed, priorityFee, hash }, with `error` decoded as { name, args }
+ * and require() strings reported by their reason.
+ */
+
+// Queued transactions get no gas estimate, which would run against the state before the block
+const DEFAULT_GAS_LIMIT = 1_000_000n;
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+
+async function decodeRevert(contract, hash) {
+  const trace = await network.provider.send("debug_traceTransaction", [
+    hash,
+    { disableMemory: true, disableStorage: true, disableStack: true },
+  ]);
+  const data = trace.returnValue ? `0x${trace.returnValue.replace(/^0x/, "")}` : "0x";
+
+  if (data === "0x") return { name: "<no revert data>", args: [] };
+  if (data.startsWith(ERROR_STRING_SELECTOR)) {
+    const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4));
+    return { name: reason, args: [] };
+  }
+  const parsed = contract.interface.parseError(data);
+  return parsed ? { name: parsed.name, args: [...parsed.args] } : { name: "<unknown error>", args: [data] };
+}
+
+async function toResult(entry, hash, receipt, priorityFee) {
+  const address = await entry.contract.getAddress();
+  const events = receipt.logs
+    .filter((log) => ethers.getAddress(log.address) === ethers.getAddress(address))
+    .map((log) => entry.contract.interface.parseLog(log))
+    .filter(Boolean)
+    .map((event) => ({ name: event.name, args: [...event.args] }));
+
+  return {
+    label: entry.label,
+    position: receipt.index,
+    status: receipt.status === 1 ? "success" : "reverted",
+    error: receipt.status === 1 ? null : await decodeRevert(entry.contract, hash),
+    events,
+    gasUsed: receipt.gasUsed,
+    priorityFee,
+    hash,
+  };
+}
+
+/**
+ * Send every entry with automine off and mine them in a single block
+ */
+async function mineTogether(entries, priorityFees) {
+  const labels = entries.map((entry) => entry.label);
+  const duplicate = labels.find((label, i) => labels.indexOf(label) !== i);
+  if (duplicate !== undefined) {
+    throw new Error(`Transaction label "${duplicate}" is used twice`);
+  }
+
+  const { baseFeePerGas } = await ethers.provider.getBlock("latest");
+  const hashes = [];
+
+  await network.provider.send("evm_setAutomine", [false]);
+  try {
+    for (const [i, entry] of entries.entries()) {
+      const tx = await entry.contract.connect(entry.from)[entry.method](...(entry.args || []), {
+        value: entry.value || 0n,
+        gasLimit: entry.gasLimit || DEFAULT_GAS_LIMIT,
+        maxPriorityFeePerGas: priorityFees[i],
+        maxFeePerGas: baseFeePerGas * 2n + priorityFees[i],
+      });
+      hashes.push(tx.hash);
+    }
+    await network.provider.send("evm_mine");
+  } finally {
+    await network.provider.send("evm_setAutomine", [true]);
+  }
+
+  const receipts = [];
+  for (const hash of hashes) {
+    receipts.push(await ethers.provider.getTransactionReceipt(hash));
+  }
+
+  const left = hashes.filter((hash, i) => !receipts[i]);
+  if (left.length > 0) {
+    // Left in the mempool they would land in whatever block is mined next
+    for (const hash of left) {
+      await network.provider.send("hardhat_dropTransaction", [hash]);
+    }
+    const missing = entries.filter((entry, i) => !receipts[i]).map((entry) => entry.label);
+    throw new Error(`${missing.join(", ")} did not fit in the block; lower their gasLimit`);
+  }
+
+  const results = [];
+  for (const [i, entry] of entries.entries()) {
+    results.push(await toResult(entry, hashes[i], receipts[i], priorityFees[i]));
+  }
+  const order = [...results].sort((a, b) => a.position - b.position).map((result) => result.label);
+
+  return {
+    blockNumber: receipts[0].blockNumber,
+    order,
+    results,
+    outcome(label) {
+      const result = results.find((candidate) => candidate.label === label);
+      if (!result) {
+        throw new Error(`No transaction labelled "${label}"; the block has ${labels.join(", ")}`);
+      }
+      return result;
+    },
+  };
+}
+
+/**
+ * Mine the entries in one block, in the order listed
+ */
+async function mineInOrder(entries) {
+  return mineTogether(
+    entries,
+    entries.map((entry, i) => BigInt(entries.length - i) * ONE_GWEI)
+  );
+}
+
+/**
+ * Mine the entries in one block, ordered by their `priorityFee`
+ */
+async function mineByPriority(entries) {
+  const unpriced = entries.filter((entry) => entry.priorityFee === undefined).map((entry) => entry.label);
+  if (unpriced.length > 0) {
+    throw new Error(`mineByPriority needs a priorityFee for ${unpriced.join(", ")}`);
+  }
+  return mineTogether(
+    entries,
+    entries.map((entry) => entry.priorityFee)
+  );
+}
+
+function formatOutcome(result) {
+  if (result.status === "success") return "success";
+  const args = result.error.args.map(String).join(", ");
+  return args ? `${result.error.name}(${args})` : result.error.name;
+}
+
+/**
+ * One line per transaction in block order, for failure messages and logs
+ */
+function formatBlock(block) {
+  return block.order
+    .map((label) => block.outcome(label))
+    .map((result) => `${result.position}. ${result.label}: ${formatOutcome(result)}`)
+    .join("\n");
+}
+
+/**
+ * Assert each labelled transaction succeeded ("success") or reverted with an
+ * entry of Errors; labels left out are not checked
+ */
+function expectOutcomes(block, expected) {
+  const problems = [];
+  for (const [label, outcome] of Object.entries(expected)) {
+    const result = block.outcome(label);
+    const want = outcome === "success" ? "success" : outcome.name;
+    const got = result.status === "success" ? "success" : result.error.name;
+    if (want !== got) {
+      problems.push(`${label}: expected ${want}, got ${formatOutcome(result)}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    expect.fail(`Block outcomes differ:\n  ${problems.join("\n  ")}\n\nBlock ${block.blockNumber}:\n${formatBlock(block)}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_GAS_LIMIT,
+  expectOutcomes,
+  formatBlock,
+  mineByPriority,
+  mineInOrder,
+};
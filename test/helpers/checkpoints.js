@@ -0,0 +1,138 @@
+const { network } = require("hardhat");
+const { clearSnapshots, takeSnapshot } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+/**
+ * Scoped snapshot checkpoints within a test
+ *
+ * Usage:
+ *   await checkpoint("distributed");
+ *
+ *   const pausedBalance = await withCheckpoint("paused", async () => {
+ *     await token.pause();
+ *     await expectRevert(token.transfer(addr2.address, amount), Errors.EnforcedPause);
+ *     return token.balanceOf(addr1.address);
+ *   });
+ *   // the pause is gone again here
+ *
+ *   await revertTo("distributed");
+ *
+ * withCheckpoint snapshots the chain, runs the callback and restores the
+ * snapshot afterwards, also when the callback throws; it returns what the
+ * callback returned and blocks nest. revertTo restores a named checkpoint and
+ * keeps it for later reverts; checkpoints taken after it are dropped, since
+ * Hardhat discards their snapshots. Taking a name again moves it.
+ *
+ * A root afterEach forgets every checkpoint, so names never carry over into
+ * the next test, and restores any withCheckpoint block that was left open,
+ * e.g. because it was not awaited. loadFixture reverts the chain too, which
+ * invalidates checkpoints taken before it. The other way round, restoring a
+ * checkpoint invalidates the snapshots loadFixture took after it, e.g. for a
+ * fixture first loaded inside a withCheckpoint block; loadFixture's snapshots
+ * are then cleared, and the next loadFixture of any fixture sets it up again.
+ */
+
+// Oldest first; scoped entries belong to an open withCheckpoint block
+let stack = [];
+
+function indexOf(name) {
+  const index = stack.findIndex((entry) => entry.name === name);
+  if (index === -1) {
+    const known = stack.filter((entry) => !entry.scoped).map((entry) => entry.name);
+    throw new Error(`Unknown checkpoint "${name}"; taken in this test: ${known.join(", ") || "none"}`);
+  }
+  return index;
+}
+
+/**
+ * Restore an entry's snapshot. Hardhat numbers snapshots in order, so any
+ * id between it and a fresh one that isn't a checkpoint was taken by
+ * someone else after it, possibly loadFixture, and is gone after the revert
+ */
+async function restore(entry, checkpoints) {
+  const latest = Number(await network.provider.send("evm_snapshot"));
+  const own = new Set(checkpoints.map((checkpoint) => Number(checkpoint.snapshot.snapshotId)));
+  const taken = Number(entry.snapshot.snapshotId);
+
+  await entry.snapshot.restore();
+  for (let id = taken + 1; id < latest; id++) {
+    if (!own.has(id)) {
+      await clearSnapshots();
+      return;
+    }
+  }
+}
+
+/**
+ * Take a named snapshot of the current chain state
+ */
+async function checkpoint(name) {
+  stack = stack.filter((entry) => entry.scoped || entry.name !== name);
+  stack.push({ name, snapshot: await takeSnapshot(), scoped: false });
+}
+
+/**
+ * Restore a named checkpoint, dropping the checkpoints taken after it
+ */
+async function revertTo(name) {
+  const index = indexOf(name);
+  if (stack.slice(index + 1).some((entry) => entry.scoped)) {
+    throw new Error(`Cannot revert to "${name}" from inside a withCheckpoint block opened after it`);
+  }
+  await restore(stack[index], stack);
+  stack = stack.slice(0, index + 1);
+}
+
+/**
+ * Run `callback` and restore the chain to its state before the call
+ */
+async function withCheckpoint(name, callback) {
+  if (typeof name === "function") {
+    callback = name;
+    name = `block ${stack.filter((entry) => entry.scoped).length + 1}`;
+  }
+
+  const entry = { name, snapshot: await takeSnapshot(), scoped: true };
+  stack.push(entry);
+  try {
+    return await callback();
+  } finally {
+    const index = stack.indexOf(entry);
+    // Gone when cleanup already ran, e.g. after the test timed out
+    if (index !== -1) {
+      await restore(entry, stack);
+      stack = stack.slice(0, index);
+    }
+  }
+}
+
+/**
+ * Names of the checkpoints that can be reverted to, oldest first
+ */
+function checkpointNames() {
+  return stack.filter((entry) => !entry.scoped).map((entry) => entry.name);
+}
+
+/**
+ * Restore the outermost open withCheckpoint block and forget every checkpoint
+ */
+async function releaseCheckpoints() {
+  const open = stack.find((entry) => entry.scoped);
+  const checkpoints = stack;
+  stack = [];
+  if (open) await restore(open, checkpoints);
+}
+
+// Hardhat loads every file under test/, so this root hook sees the whole run
+if (typeof afterEach === "function") {
+  afterEach(async function () {
+    await releaseCheckpoints();
+  });
+}
+
+module.exports = {
+  checkpoint,
+  checkpointNames,
+  releaseCheckpoints,
+  revertTo,
+  withCheckpoint,
+};
@@ -0,0 +1,203 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+/**
+ * Core ERC20 behaviour every token must pass: metadata, transfers,
+ * allowances, events and total supply. Expects the initial supply to be
+ * minted to the deployer. Failed transfers only need to revert unless
+ * `insufficientBalanceError` names the custom error to expect.
+ */
+function describeERC20(fixture, { name, symbol, decimals = 18, insufficientBalanceError }) {
+  describe("Deployment", function () {
+    it("Should set the correct name and symbol", async function () {
+      const { token } = await loadFixture(fixture);
+
+      expect(await token.name()).to.equal(name);
+      expect(await token.symbol()).to.equal(symbol);
+    });
+
+    it("Should set the correct decimals", async function () {
+      const { token } = await loadFixture(fixture);
+
+      expect(await token.decimals()).to.equal(decimals);
+    });
+
+    it("Should assign the initial supply to the owner", async function () {
+      const { token, owner, initialSupply } = await loadFixture(fixture);
+
+      expect(await token.balanceOf(owner.address)).to.equal(initialSupply);
+    });
+
+    it("Should set the correct total supply", async function () {
+      const { token, initialSupply } = await loadFixture(fixture);
+
+      expect(await token.totalSupply()).to.equal(initialSupply);
+    });
+  });
+
+  describe("Basic Transfers", function () {
+    it("Should transfer tokens between accounts", async function () {
+      const { token, owner, addr1 } = await loadFixture(fixture);
+
+      const transferAmount = ethers.parseEther("100");
+
+      await expect(
+        token.transfer(addr1.address, transferAmount)
+      ).to.changeTokenBalances(
+        token,
+        [owner, addr1],
+        [-transferAmount, transferAmount]
+      );
+    });
+
+    it("Should emit Transfer event on transfer", async function () {
+      const { token, owner, addr1 } = await loadFixture(fixture);
+
+      const transferAmount = ethers.parseEther("100");
+
+      await expect(token.transfer(addr1.address, transferAmount))
+        .to.emit(token, "Transfer")
+        .withArgs(owner.address, addr1.address, transferAmount);
+    });
+
+    it("Should fail if sender doesn't have enough tokens", async function () {
+      const { token, addr1, addr2 } = await loadFixture(fixture);
+
+      const largeAmount = ethers.parseEther("1000");
+
+      const transfer = token.connect(addr1).transfer(addr2.address, largeAmount);
+
+      if (insufficientBalanceError) {
+        await expect(transfer).to.be.revertedWithCustomError(token, insufficientBalanceError);
+      } else {
+        await expect(transfer).to.be.reverted;
+      }
+    });
+
+    it("Should update balances after transfers", async function () {
+      const { token, addr1, addr2 } = await loadFixture(fixture);
+
+      const amount1 = ethers.parseEther("100");
+      const amount2 = ethers.parseEther("50");
+
+      // Transfer from owner to addr1
+      await token.transfer(addr1.address, amount1);
+      expect(await token.balanceOf(addr1.address)).to.equal(amount1);
+
+      // Transfer from addr1 to addr2
+      await token.connect(addr1).transfer(addr2.address, amount2);
+      expect(await token.balanceOf(addr1.address)).to.equal(amount1 - amount2);
+      expect(await token.balanceOf(addr2.address)).to.equal(amount2);
+    });
+  });
+
+  describe("Allowances", function () {
+    it("Should approve tokens for delegated transfer", async function () {
+      const { token, owner, addr1 } = await loadFixture(fixture);
+
+      const approveAmount = ethers.parseEther("100");
+
+      await expect(token.approve(addr1.address, approveAmount))
+        .to.emit(token, "Approval")
+        .withArgs(owner.address, addr1.address, approveAmount);
+
+      expect(await token.allowance(owner.address, addr1.address))
+        .to.equal(approveAmount);
+    });
+
+    it("Should transfer tokens using transferFrom", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(fixture);
+
+      const amount = ethers.parseEther("100");
+
+      // Owner approves addr1 to spend tokens
+      await token.approve(addr1.address, amount);
+
+      // addr1 transfers tokens from owner to addr2
+      await expect(
+        token.connect(addr1).transferFrom(owner.address, addr2.address, amount)
+      ).to.changeTokenBalances(
+        token,
+        [owner, addr2],
+        [-amount, amount]
+      );
+    });
+
+    it("Should decrease allowance after transferFrom", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(fixture);
+
+      const approveAmount = ethers.parseEther("100");
+      const transferAmount = ethers.parseEther("60");
+
+      await token.approve(addr1.address, approveAmount);
+      await token.connect(addr1).transferFrom(owner.address, addr2.address, transferAmount);
+
+      expect(await token.allowance(owner.address, addr1.address))
+        .to.equal(approveAmount - transferAmount);
+    });
+
+    it("Should fail transferFrom without approval", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(fixture);
+
+      const amount = ethers.parseEther("100");
+
+      await expect(
+        token.connect(addr1).transferFrom(owner.address, addr2.address, amount)
+      ).to.be.reverted;
+    });
+
+    it("Should fail transferFrom with insufficient allowance", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(fixture);
+
+      const approveAmount = ethers.parseEther("50");
+      const transferAmount = ethers.parseEther("100");
+
+      await token.approve(addr1.address, approveAmount);
+
+      await expect(
+        token.connect(addr1).transferFrom(owner.address, addr2.address, transferAmount)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Balance Queries", function () {
+    it("Should return zero balance for accounts with no tokens", async function () {
+      const { token, addr1 } = await loadFixture(fixture);
+
+      expect(await token.balanceOf(addr1.address)).to.equal(0);
+    });
+
+    it("Should return correct balance after multiple transfers", async function () {
+      const { token, addr1 } = await loadFixture(fixture);
+
+      await token.transfer(addr1.address, ethers.parseEther("100"));
+      await token.transfer(addr1.address, ethers.parseEther("50"));
+      await token.transfer(addr1.address, ethers.parseEther("25"));
+
+      expect(await token.balanceOf(addr1.address)).to.equal(ethers.parseEther("175"));
+    });
+  });
+
+  describe("Total Supply", function () {
+    it("Should not change total supply on transfers", async function () {
+      const { token, addr1, initialSupply } = await loadFixture(fixture);
+
+      await token.transfer(addr1.address, ethers.parseEther("100"));
+
+      expect(await token.totalSupply()).to.equal(initialSupply);
+    });
+
+    it("Should maintain total supply across multiple transfers", async function () {
+      const { token, addr1, addr2, initialSupply } = await loadFixture(fixture);
+
+      await token.transfer(addr1.address, ethers.parseEther("100"));
+      await token.connect(addr1).transfer(addr2.address, ethers.parseEther("50"));
+      await token.transfer(addr2.address, ethers.parseEther("200"));
+
+      expect(await token.totalSupply()).to.equal(initialSupply);
+    });
+  });
+}
+
+module.exports = { describeERC20 };
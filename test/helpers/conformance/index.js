@@ -0,0 +1,59 @@
+const { ethers } = require("hardhat");
+const { describeERC20 } = require("./erc20");
+const modules = require("./modules");
+
+/**
+ * ERC20 conformance suite
+ *
+ * Usage:
+ *   describeERC20Conformance("MyToken", deployMyToken, {
+ *     name: "MyToken",
+ *     symbol: "MTK",
+ *     insufficientBalanceError: "ERC20InsufficientBalance",
+ *     capabilities: { pausable: true, burn: true, capped: { maxSupply } },
+ *   });
+ *
+ * `deploy` resolves to `{ token, initialSupply }`, with the initial supply
+ * minted to the first signer. A transfer above the balance only has to
+ * revert unless `insufficientBalanceError` names the error. Capability flags switch on the matching module
+ * in modules.js; pass an object instead of `true` to override its options.
+ * Extra modules can be plugged in through `modules`, keyed by flag name.
+ * `tags` is appended to the suite title, e.g. "@REQ-TRANSFER".
+ */
+function describeERC20Conformance(label, deploy, {
+  name,
+  symbol,
+  decimals,
+  insufficientBalanceError,
+  capabilities = {},
+  modules: extraModules = {},
+  tags = "",
+}) {
+  const available = { ...modules, ...extraModules };
+
+  const unknown = Object.keys(capabilities).filter((flag) => !available[flag]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown capabilities: ${unknown.join(", ")}; available: ${Object.keys(available).join(", ")}`);
+  }
+
+  // loadFixture snapshots by function identity, so build it once per suite
+  async function conformanceFixture() {
+    const [owner, addr1, addr2, addr3] = await ethers.getSigners();
+    const deployed = await deploy();
+    return { owner, addr1, addr2, addr3, ...deployed };
+  }
+
+  describe(`${label} - ERC20 Conformance ${tags}`.trim(), function () {
+    describeERC20(conformanceFixture, { name, symbol, decimals, insufficientBalanceError });
+
+    for (const [flag, options] of Object.entries(capabilities)) {
+      if (!options) continue;
+      available[flag](conformanceFixture, options === true ? {} : options);
+    }
+  });
+}
+
+module.exports = {
+  CONFORMANCE_MODULES: Object.keys(modules),
+  describeERC20Conformance,
+};
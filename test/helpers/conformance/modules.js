@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+/**
+ * Optional conformance modules, one per token feature. Each is called with
+ * the suite's fixture and the options given for its capability flag
+ * (`true` means defaults). Error names default to MyToken's.
+ */
+
+/**
+ * pause()/unpause() by the owner, blocking every balance change
+ */
+function pausable(fixture, { pausedError = "EnforcedPause" } = {}) {
+  describe("Pausable", function () {
+    it("Should block transfers while paused", async function () {
+      const { token, addr1 } = await loadFixture(fixture);
+
+      await token.pause();
+
+      await expect(token.transfer(addr1.address, 1n))
+        .to.be.revertedWithCustomError(token, pausedError);
+    });
+
+    it("Should block transferFrom while paused", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(fixture);
+
+      await token.approve(addr1.address, 1n);
+      await token.pause();
+
+      await expect(token.connect(addr1).transferFrom(owner.address, addr2.address, 1n))
+        .to.be.revertedWithCustomError(token, pausedError);
+    });
+
+    it("Should allow transfers after unpausing", async function () {
+      const { token, owner, addr1 } = await loadFixture(fixture);
+
+      await token.pause();
+      await token.unpause();
+
+      await expect(token.transfer(addr1.address, 1n))
+        .to.changeTokenBalances(token, [owner, addr1], [-1n, 1n]);
+    });
+
+    it("Should only let the owner pause", async function () {
+      const { token, addr1 } = await loadFixture(fixture);
+
+      await expect(token.connect(addr1).pause())
+        .to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount")
+        .withArgs(addr1.address);
+    });
+  });
+}
+
+/**
+ * setBlacklist(account, status) by the owner, blocking both directions
+ */
+function blacklist(fixture, { blacklistedError = "AccountBlacklisted" } = {}) {
+  describe("Blacklist", function () {
+    it("Should block transfers from a blacklisted account", async function () {
+      const { token, addr1, addr2 } = await loadFixture(fixture);
+
+      await token.transfer(addr1.address, 10n);
+      await token.setBlacklist(addr1.address, true);
+
+      await expect(token.connect(addr1).transfer(addr2.address, 1n))
+        .to.be.revertedWithCustomError(token, blacklistedError)
+        .withArgs(addr1.address);
+    });
+
+    it("Should block transfers to a blacklisted account", async function () {
+      const { token, addr1 } = await loadFixture(fixture);
+
+      await token.setBlacklist(addr1.address, true);
+
+      await expect(token.transfer(addr1.address, 1n))
+        .to.be.revertedWithCustomError(token, blacklistedError)
+        .withArgs(addr1.address);
+    });
+
+    it("Should allow transfers again after removal from the blacklist", async function () {
+      const { token, owner, addr1 } = await loadFixture(fixture);
+
+      await token.setBlacklist(addr1.address, true);
+      await token.setBlacklist(addr1.address, false);
+
+      await expect(token.transfer(addr1.address, 1n))
+        .to.changeTokenBalances(token, [owner, addr1], [-1n, 1n]);
+    });
+  });
+}
+
+/**
+ * A hard cap on totalSupply, enforced on owner mints
+ */
+function capped(fixture, {
+  maxSupply,
+  cappedError = "MaxSupplyExceeded",
+  mint = (token, to, amount) => token.mint(to, amount),
+} = {}) {
+  describe("Capped Supply", function () {
+    if (maxSupply !== undefined) {
+      it("Should expose the max supply", async function () {
+        const { token } = await loadFixture(fixture);
+
+        expect(await token.MAX_SUPPLY()).to.equal(maxSupply);
+      });
+    }
+
+    it("Should allow minting exactly up to the cap", async function () {
+      const { token, addr1 } = await loadFixture(fixture);
+
+      const remaining = (await token.MAX_SUPPLY()) - (await token.totalSupply());
+      await mint(token, addr1.address, remaining);
+
+      expect(await token.totalSupply()).to.equal(await token.MAX_SUPPLY());
+    });
+
+    it("Should reject mints above the cap", async function () {
+      const { token, addr1 } = await loadFixture(fixture);
+
+      const remaining = (await token.MAX_SUPPLY()) - (await token.totalSupply());
+
+      await expect(mint(token, addr1.address, remaining + 1n))
+        .to.be.revertedWithCustomError(token, cappedError)
+        .withArgs(remaining + 1n, remaining);
+    });
+  });
+}
+
+/**
+ * mintWithFee(to, amount) paid in ETH, with a per-caller cooldown
+ */
+function feeMint(fixture, {
+  fee,
+  cooldown,
+  feeError = "InsufficientFee",
+  cooldownError = "MintCooldownActive",
+} = {}) {
+  describe("Fee Minting", function () {
+    if (fee !== undefined) {
+      it("Should set the default minting fee", async function () {
+        const { token } = await loadFixture(fixture);
+
+        expect(await token.mintingFee()).to.equal(fee);
+      });
+    }
+
+    it("Should mint to the recipient and keep the fee", async function () {
+      const { token, addr1 } = await loadFixture(fixture);
+
+      const amount = ethers.parseEther("10");
+      const mintingFee = await token.mintingFee();
+
+      await expect(token.connect(addr1).mintWithFee(addr1.address, amount, { value: mintingFee }))
+        .to.changeEtherBalances([addr1, token], [-mintingFee, mintingFee]);
+      expect(await token.balanceOf(addr1.address)).to.equal(amount);
+    });
+
+    it("Should reject an insufficient fee", async function () {
+      const { token, addr1 } = await loadFixture(fixture);
+
+      const mintingFee = await token.mintingFee();
+
+      await expect(token.connect(addr1).mintWithFee(addr1.address, 1n, { value: mintingFee - 1n }))
+        .to.be.revertedWithCustomError(token, feeError)
+        .withArgs(mintingFee, mintingFee - 1n);
+    });
+
+    it("Should enforce the cooldown between mints", async function () {
+      const { token, addr1 } = await loadFixture(fixture);
+
+      const mintingFee = await token.mintingFee();
+      const mintCooldown = cooldown === undefined ? await token.MINT_COOLDOWN() : BigInt(cooldown);
+
+      await token.connect(addr1).mintWithFee(addr1.address, 1n, { value: mintingFee });
+      await expect(token.connect(addr1).mintWithFee(addr1.address, 1n, { value: mintingFee }))
+        .to.be.revertedWithCustomError(token, cooldownError);
+
+      await time.increase(mintCooldown);
+      await expect(token.connect(addr1).mintWithFee(addr1.address, 1n, { value: mintingFee }))
+        .not.to.be.reverted;
+    });
+  });
+}
+
+/**
+ * burn(amount) from the caller's own balance
+ */
+function burn(fixture, { insufficientBalanceError = "InsufficientBalance" } = {}) {
+  describe("Burning", function () {
+    it("Should burn from the caller's balance and reduce the supply", async function () {
+      const { token, owner, initialSupply } = await loadFixture(fixture);
+
+      const amount = ethers.parseEther("100");
+
+      await expect(token.burn(amount)).to.changeTokenBalance(token, owner, -amount);
+      expect(await token.totalSupply()).to.equal(initialSupply - amount);
+    });
+
+    it("Should emit Transfer to the zero address on burn", async function () {
+      const { token, owner } = await loadFixture(fixture);
+
+      await expect(token.burn(1n))
+        .to.emit(token, "Transfer")
+        .withArgs(owner.address, ethers.ZeroAddress, 1n);
+    });
+
+    it("Should reject burning more than the balance", async function () {
+      const { token, addr1 } = await loadFixture(fixture);
+
+      await expect(token.connect(addr1).burn(1n))
+        .to.be.revertedWithCustomError(token, insufficientBalanceError);
+    });
+  });
+}
+
+module.exports = {
+  pausable,
+  blacklist,
+  capped,
+  feeMint,
+  burn,
+};
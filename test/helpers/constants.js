@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const generated = require("./generated/MyToken");
 
 /**
  * Common constants for testing
@@ -72,4 +73,43 @@ module.exports = {
     ENFORCED_PAUSE: "EnforcedPause",
     EXPECTED_PAUSE: "ExpectedPause",
   },
+  
+  // ReentrancyGuard Errors
+  REENTRANCY_ERRORS: {
+    REENTRANT_CALL: "ReentrancyGuardReentrantCall",
+  },
+  
+  // MyToken Errors
+  MYTOKEN_ERRORS: {
+    INSUFFICIENT_BALANCE: "InsufficientBalance",
+    MAX_SUPPLY_EXCEEDED: "MaxSupplyExceeded",
+    ACCOUNT_BLACKLISTED: "AccountBlacklisted",
+    MINT_COOLDOWN_ACTIVE: "MintCooldownActive",
+    INVALID_AMOUNT: "InvalidAmount",
+    INVALID_ADDRESS: "InvalidAddress",
+    INSUFFICIENT_FEE: "InsufficientFee",
+  },
+  
+  // MyToken Events
+  MYTOKEN_EVENTS: {
+    TRANSFER: "Transfer",
+    APPROVAL: "Approval",
+    TOKENS_MINTED: "TokensMinted",
+    TOKENS_BURNED: "TokensBurned",
+    BLACKLIST_UPDATED: "BlacklistUpdated",
+    MINTING_FEE_UPDATED: "MintingFeeUpdated",
+    EMERGENCY_WITHDRAW: "EmergencyWithdraw",
+    OWNERSHIP_TRANSFERRED: "OwnershipTransferred",
+    PAUSED: "Paused",
+    UNPAUSED: "Unpaused",
+  },
+  
+  // MyToken public constants (generated from the ABI)
+  MYTOKEN_CONSTANTS: generated.CONSTANTS,
+  
+  // require() revert strings
+  REVERT_REASONS: {
+    INITIAL_SUPPLY_EXCEEDS_MAX: "Initial supply exceeds max",
+    TRANSFER_FAILED: "Transfer failed",
+  },
 };
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  ERC20_ERRORS,
+  OWNABLE_ERRORS,
+  PAUSABLE_ERRORS,
+  REENTRANCY_ERRORS,
+  MYTOKEN_ERRORS,
+  REVERT_REASONS,
+} = require("./constants");
+const { ERROR_SIGNATURES } = require("./generated/MyToken");
+
+/**
+ * Typed revert assertions
+ *
+ * Usage:
+ *   await expectRevert(tx, Errors.MintCooldownActive, { timeRemaining });
+ *   await expectRevert(tx, Errors.InsufficientFee, { required: fee });
+ *   await expectRevert(deployTx, Errors.InitialSupplyExceedsMax);
+ *
+ * Named arguments are matched against the error's ABI inputs; arguments
+ * left out match any value, unknown names throw.
+ */
+
+const ERROR_TABLES = {
+  ERC20_ERRORS,
+  OWNABLE_ERRORS,
+  PAUSABLE_ERRORS,
+  REENTRANCY_ERRORS,
+  MYTOKEN_ERRORS,
+};
+
+// Every error named in the constants tables, with its signature from the ABI.
+// Names MyToken doesn't declare are left out; Constants.test.js reports them.
+const ERROR_NAMES = Object.values(ERROR_TABLES)
+  .flatMap((table) => Object.values(table))
+  .filter((name) => ERROR_SIGNATURES[name]);
+
+const ERRORS_INTERFACE = new ethers.Interface(ERROR_NAMES.map((name) => ERROR_SIGNATURES[name]));
+
+// INITIAL_SUPPLY_EXCEEDS_MAX -> InitialSupplyExceedsMax
+function toPascalCase(constantName) {
+  return constantName
+    .toLowerCase()
+    .split("_")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join("");
+}
+
+const Errors = {};
+
+for (const name of ERROR_NAMES) {
+  Errors[name] = Object.freeze({ kind: "custom", name, fragment: ERRORS_INTERFACE.getError(name) });
+}
+
+for (const [key, reason] of Object.entries(REVERT_REASONS)) {
+  Errors[toPascalCase(key)] = Object.freeze({ kind: "reason", name: reason, reason });
+}
+
+Object.freeze(Errors);
+
+/**
+ * Order named arguments by the error's ABI inputs
+ */
+function toPositionalArgs(error, args) {
+  const names = error.fragment.inputs.map((input) => input.name);
+  const unknown = Object.keys(args).filter((key) => !names.includes(key));
+
+  if (unknown.length > 0) {
+    throw new Error(
+      `${error.name} has no argument ${unknown.join(", ")}; its arguments are: ${names.join(", ") || "none"}`
+    );
+  }
+
+  return names.map((name) => (name in args ? args[name] : anyValue));
+}
+
+/**
+ * Validate the call before any assertion is built, discarding the subject so
+ * an unrelated rejection isn't reported as unhandled
+ */
+function validate(tx, error, args) {
+  try {
+    if (!error || !error.kind) {
+      throw new Error("expectRevert expects an entry of Errors as its second argument");
+    }
+    if (error.kind === "reason") {
+      if (args !== undefined) {
+        throw new Error(`"${error.reason}" is a require() string and has no arguments`);
+      }
+      return null;
+    }
+    return args === undefined ? null : toPositionalArgs(error, args);
+  } catch (e) {
+    Promise.resolve(tx).catch(() => {});
+    throw e;
+  }
+}
+
+/**
+ * Assert that `tx` reverts with `error`, optionally checking named arguments
+ */
+async function expectRevert(tx, error, args) {
+  const positional = validate(tx, error, args);
+
+  if (error.kind === "reason") {
+    return expect(tx).to.be.revertedWith(error.reason);
+  }
+
+  const assertion = expect(tx).to.be.revertedWithCustomError({ interface: ERRORS_INTERFACE }, error.name);
+  return positional ? assertion.withArgs(...positional) : assertion;
+}
+
+module.exports = {
+  Errors,
+  ERRORS_INTERFACE,
+  expectRevert,
+};
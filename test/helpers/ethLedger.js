@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+/**
+ * ETH ledger with gas accounting
+ *
+ * Usage:
+ *   const ledger = await createEthLedger({ token, owner, addr1 });
+ *   await token.connect(addr1).mintWithFee(addr1.address, amount, { value: fee + extra });
+ *   await token.emergencyWithdraw();
+ *
+ *   await ledger.expectEthFlows({ addr1: -(fee + extra), owner: fee + extra });
+ *   expect((await ledger.totals()).overpayment).to.equal(extra);
+ *
+ * Accounts are signers, contracts or addresses keyed by name. Every
+ * transaction mined since the ledger was created is read back from the
+ * chain, so reverted calls are covered too. Each account's flow is its
+ * balance change with the gas it paid added back, which makes the
+ * assertions exact. The wei that moved are attributed to:
+ *   fee          mintingFee paid to the token by mintWithFee, as set at
+ *                that point in its block
+ *   overpayment  msg.value above the fee, which the token keeps
+ *   withdrawal   ETH paid out by emergencyWithdraw
+ *   deposit      plain ETH sent to the token's receive()
+ *   transfer     any other value sent between accounts
+ * Flows that none of these explain are reported as unattributed.
+ */
+
+const KINDS = ["fee", "overpayment", "withdrawal", "deposit", "transfer"];
+
+async function resolveAddress(account) {
+  if (typeof account === "string") return ethers.getAddress(account);
+  if (account.address) return ethers.getAddress(account.address);
+  return ethers.getAddress(await account.getAddress());
+}
+
+function formatWei(value) {
+  return `${value > 0n ? "+" : ""}${ethers.formatEther(value)} ETH`;
+}
+
+/**
+ * The token's events named `name` in a receipt
+ */
+function tokenEvents(token, tokenAddress, receipt, name) {
+  return receipt.logs
+    .filter((log) => ethers.getAddress(log.address) === tokenAddress)
+    .map((log) => token.interface.parseLog(log))
+    .filter((event) => event && event.name === name);
+}
+
+/**
+ * Attribute one mined transaction's value to ledger entries; `mintingFee()`
+ * resolves to the fee in effect when the transaction ran
+ */
+async function attribute(token, tokenAddress, tx, receipt, mintingFee) {
+  if (receipt.status !== 1) return [];
+
+  const from = ethers.getAddress(tx.from);
+  const to = tx.to && ethers.getAddress(tx.to);
+
+  if (token && to === tokenAddress) {
+    if (tx.data === "0x") {
+      return [{ kind: "deposit", from, to, amount: tx.value }];
+    }
+
+    const call = token.interface.parseTransaction({ data: tx.data, value: tx.value });
+    if (call && call.name === "mintWithFee") {
+      const fee = await mintingFee();
+      return [
+        { kind: "fee", from, to, amount: fee },
+        { kind: "overpayment", from, to, amount: tx.value - fee },
+      ].filter((entry) => entry.amount > 0n);
+    }
+    if (call && call.name === "emergencyWithdraw") {
+      return tokenEvents(token, tokenAddress, receipt, "EmergencyWithdraw").map((event) => ({ kind: "withdrawal", from: to, to: ethers.getAddress(event.args.to), amount: event.args.amount }));
+    }
+  }
+
+  return tx.value > 0n ? [{ kind: "transfer", from, to, amount: tx.value }] : [];
+}
+
+/**
+ * Start a ledger over the named accounts; `token` (if named) is the MyToken
+ * whose calls get attributed
+ */
+async function createEthLedger(accounts) {
+  const names = Object.keys(accounts);
+  const addresses = {};
+  for (const name of names) {
+    addresses[name] = await resolveAddress(accounts[name]);
+  }
+  const nameOf = (address) => names.find((name) => addresses[name] === address);
+
+  const token = accounts.token && accounts.token.interface ? accounts.token : null;
+  const startBlock = await ethers.provider.getBlockNumber();
+  const startBalances = {};
+  for (const name of names) {
+    startBalances[name] = await ethers.provider.getBalance(addresses[name], startBlock);
+  }
+
+  /**
+   * Read every transaction since the ledger started
+   */
+  async function collect() {
+    const latest = await ethers.provider.getBlockNumber();
+    const gas = Object.fromEntries(names.map((name) => [name, 0n]));
+    const entries = [];
+
+    for (let number = startBlock + 1; number <= latest; number++) {
+      const block = await ethers.provider.getBlock(number, true);
+      // The previous block's fee, as changed by setMintingFee calls earlier in this block
+      let fee;
+      const mintingFee = async () => (fee === undefined ? (fee = await token.mintingFee({ blockTag: number - 1 })) : fee);
+
+      for (const tx of block.prefetchedTransactions) {
+        const receipt = await ethers.provider.getTransactionReceipt(tx.hash);
+        const payer = nameOf(ethers.getAddress(tx.from));
+        if (payer) gas[payer] += receipt.gasUsed * receipt.gasPrice;
+
+        for (const entry of await attribute(token, addresses.token, tx, receipt, mintingFee)) {
+          entries.push({ ...entry, from: nameOf(entry.from) || entry.from, to: nameOf(entry.to) || entry.to, hash: tx.hash });
+        }
+        if (token) {
+          for (const update of tokenEvents(token, addresses.token, receipt, "MintingFeeUpdated")) fee = update.args.newFee;
+        }
+      }
+    }
+
+    const flows = {};
+    for (const name of names) {
+      const balance = await ethers.provider.getBalance(addresses[name], latest);
+      const attributed = entries.reduce(
+        (sum, entry) => sum + (entry.to === name ? entry.amount : 0n) - (entry.from === name ? entry.amount : 0n),
+        0n
+      );
+      const net = balance - startBalances[name] + gas[name];
+      flows[name] = { net, gas: gas[name], attributed, unattributed: net - attributed };
+    }
+
+    return { flows, entries };
+  }
+
+  return {
+    addresses,
+
+    /**
+     * Per account: net flow (gas excluded), gas paid, attributed and unattributed wei
+     */
+    async flows() {
+      return (await collect()).flows;
+    },
+
+    /**
+     * Every attributed movement as { kind, from, to, amount, hash }
+     */
+    async entries() {
+      return (await collect()).entries;
+    },
+
+    /**
+     * Total wei moved per kind
+     */
+    async totals() {
+      const totals = Object.fromEntries(KINDS.map((kind) => [kind, 0n]));
+      for (const entry of (await collect()).entries) {
+        totals[entry.kind] += entry.amount;
+      }
+      return totals;
+    },
+
+    /**
+     * Assert each account's net flow exactly; accounts left out must not
+     * have moved, and every wei must be attributed
+     */
+    async expectEthFlows(expected) {
+      const unknown = Object.keys(expected).filter((name) => !names.includes(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown accounts: ${unknown.join(", ")}; the ledger tracks ${names.join(", ")}`);
+      }
+
+      const { flows, entries } = await collect();
+      const problems = [];
+      for (const name of names) {
+        const want = BigInt(expected[name] || 0n);
+        const { net, gas, unattributed } = flows[name];
+        if (net !== want) {
+          problems.push(`${name}: expected ${formatWei(want)}, got ${formatWei(net)} (gas paid ${ethers.formatEther(gas)} ETH)`);
+        }
+        if (unattributed !== 0n) {
+          problems.push(`${name}: ${formatWei(unattributed)} not explained by any fee, overpayment, withdrawal or deposit`);
+        }
+      }
+
+      if (problems.length > 0) {
+        const movements = entries.map((entry) => `${entry.kind}: ${entry.from} -> ${entry.to} ${ethers.formatEther(entry.amount)} ETH`);
+        expect.fail(
+          `ETH flows differ:\n  ${problems.join("\n  ")}\n\nMovements:\n  ${movements.join("\n  ") || "none"}`
+        );
+      }
+    },
+  };
+}
+
+module.exports = {
+  createEthLedger,
+};
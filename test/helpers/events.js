@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { EVENT_SIGNATURES } = require("./generated/MyToken");
+
+/**
+ * Event-log capture and sequence assertions
+ *
+ * Usage:
+ *   const { Transfer, TokensMinted } = Events;
+ *
+ *   const recorder = await startRecording(token);
+ *   await token.mint(addr1.address, amount);
+ *   await expectEvents(await recorder.events(), [
+ *     Transfer(ethers.ZeroAddress, addr1, amount),
+ *     TokensMinted(addr1, amount, 0n),
+ *   ]);
+ *
+ *   const tx1 = await token.connect(addr1).approve(addr2.address, amount);
+ *   await tx1.wait();
+ *   const tx2 = await token.connect(addr2).transferFrom(addr1.address, addr3.address, amount);
+ *   const events = await recordEvents(token, [tx1, tx2]);
+ *   await expectEvents(events, [Approval(addr1, addr2, anyValue)], { mode: "ordered" });
+ *
+ * Modes:
+ *   strict    - exactly these events, in this order (default)
+ *   ordered   - these events in this order, others may come in between
+ *   unordered - exactly these events, in any order
+ *
+ * Expected arguments may be values, signers, `anyValue` or predicates.
+ * An event built without arguments matches any arguments.
+ */
+
+const MODES = ["strict", "ordered", "unordered"];
+
+const EVENTS_INTERFACE = new ethers.Interface(Object.values(EVENT_SIGNATURES));
+
+const Events = {};
+
+for (const name of Object.keys(EVENT_SIGNATURES)) {
+  const fragment = EVENTS_INTERFACE.getEvent(name);
+  Events[name] = (...args) => {
+    if (args.length > 0 && args.length !== fragment.inputs.length) {
+      throw new Error(
+        `${name} takes ${fragment.inputs.length} arguments (${fragment.inputs.map((i) => i.name).join(", ")}), got ${args.length}`
+      );
+    }
+    return { name, args: args.length > 0 ? args : null };
+  };
+}
+
+Object.freeze(Events);
+
+function toRecorded(log, parsed) {
+  return {
+    name: parsed.name,
+    args: [...parsed.args],
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+  };
+}
+
+async function receiptOf(tx) {
+  const resolved = await tx;
+  return typeof resolved.wait === "function" ? resolved.wait() : resolved;
+}
+
+/**
+ * Decode the contract's events from a list of transactions (responses,
+ * receipts or promises of either) or from a block range `{ fromBlock, toBlock }`.
+ * Transactions are only read back here, not sent: mine each one before
+ * sending a transaction that depends on it
+ */
+async function recordEvents(contract, source) {
+  const address = await contract.getAddress();
+  const recorded = [];
+
+  if (Array.isArray(source)) {
+    for (const tx of source) {
+      const receipt = await receiptOf(tx);
+      for (const log of receipt.logs) {
+        if (log.address !== address) continue;
+        recorded.push(toRecorded(log, contract.interface.parseLog(log)));
+      }
+    }
+    return recorded;
+  }
+
+  const { fromBlock = 0, toBlock = "latest" } = source;
+  const logs = await ethers.provider.getLogs({ address, fromBlock, toBlock });
+  for (const log of logs) {
+    recorded.push(toRecorded(log, contract.interface.parseLog(log)));
+  }
+  return recorded;
+}
+
+/**
+ * Record every event the contract emits from the next block on
+ */
+async function startRecording(contract) {
+  const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+  return {
+    fromBlock,
+    events: async () => recordEvents(contract, { fromBlock, toBlock: await ethers.provider.getBlockNumber() }),
+  };
+}
+
+function normalize(value) {
+  if (value && typeof value === "object" && typeof value.address === "string") {
+    return ethers.getAddress(value.address);
+  }
+  if (typeof value === "string" && ethers.isAddress(value)) return ethers.getAddress(value);
+  if (typeof value === "number") return BigInt(value);
+  return value;
+}
+
+function argMatches(expected, actual) {
+  if (typeof expected === "function") return Boolean(expected(actual));
+  return normalize(expected) === normalize(actual);
+}
+
+function matches(expected, actual) {
+  if (expected.name !== actual.name) return false;
+  if (expected.args === null) return true;
+  return expected.args.every((arg, i) => argMatches(arg, actual.args[i]));
+}
+
+function formatArg(value) {
+  if (value === anyValue) return "<any>";
+  if (typeof value === "function") return `<${value.name || "predicate"}>`;
+  return String(normalize(value));
+}
+
+function formatEvent(event) {
+  return event.args === null ? `${event.name}(...)` : `${event.name}(${event.args.map(formatArg).join(", ")})`;
+}
+
+function diffStrict(expected, actual) {
+  const lines = [];
+  let ok = expected.length === actual.length;
+
+  for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+    if (i >= actual.length) {
+      lines.push(`  - #${i} missing    ${formatEvent(expected[i])}`);
+    } else if (i >= expected.length) {
+      lines.push(`  + #${i} unexpected ${formatEvent(actual[i])}`);
+    } else if (matches(expected[i], actual[i])) {
+      lines.push(`    #${i}           ${formatEvent(actual[i])}`);
+    } else {
+      ok = false;
+      lines.push(`  ! #${i} expected   ${formatEvent(expected[i])}`);
+      lines.push(`${" ".repeat(6 + String(i).length)}got        ${formatEvent(actual[i])}`);
+    }
+  }
+  return { ok, lines };
+}
+
+function diffOrdered(expected, actual) {
+  const lines = [];
+  let ok = true;
+  let next = 0;
+
+  for (const event of expected) {
+    const index = actual.findIndex((candidate, i) => i >= next && matches(event, candidate));
+    if (index === -1) {
+      ok = false;
+      const after = next === 0 ? "" : ` after #${next - 1}`;
+      lines.push(`  - not found${after}: ${formatEvent(event)}`);
+    } else {
+      lines.push(`    #${index} ${formatEvent(actual[index])}`);
+      next = index + 1;
+    }
+  }
+
+  if (!ok) {
+    lines.push("  Recorded:");
+    actual.forEach((event, i) => lines.push(`    #${i} ${formatEvent(event)}`));
+  }
+  return { ok, lines };
+}
+
+function diffUnordered(expected, actual) {
+  const lines = [];
+  const used = new Set();
+
+  for (const event of expected) {
+    const index = actual.findIndex((candidate, i) => !used.has(i) && matches(event, candidate));
+    if (index === -1) {
+      lines.push(`  - missing    ${formatEvent(event)}`);
+    } else {
+      used.add(index);
+      lines.push(`    #${index}         ${formatEvent(actual[index])}`);
+    }
+  }
+
+  actual.forEach((event, i) => {
+    if (!used.has(i)) lines.push(`  + unexpected #${i} ${formatEvent(event)}`);
+  });
+
+  return { ok: used.size === expected.length && used.size === actual.length, lines };
+}
+
+const DIFFS = { strict: diffStrict, ordered: diffOrdered, unordered: diffUnordered };
+
+/**
+ * Assert recorded events against an expected sequence
+ */
+async function expectEvents(recorded, expected, { mode = "strict" } = {}) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown mode "${mode}"; use one of: ${MODES.join(", ")}`);
+  }
+
+  const actual = await recorded;
+  const { ok, lines } = DIFFS[mode](expected, actual);
+
+  if (!ok) {
+    expect.fail(
+      `Expected ${expected.length} events (${mode}), recorded ${actual.length}:\n${lines.join("\n")}`
+    );
+  }
+}
+
+module.exports = {
+  Events,
+  anyValue,
+  recordEvents,
+  startRecording,
+  expectEvents,
+};
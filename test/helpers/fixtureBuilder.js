@@ -0,0 +1,206 @@
+const { ethers } = require("hardhat");
+const { personaNames, personas } = require("./personas");
+const { registerToken } = require("./readableAssertions");
+
+/**
+ * Declarative fixture builder for MyToken
+ *
+ * Usage:
+ *   const scenario = tokenFixture()
+ *     .withBalances({ addr1: "10000", addr2: "20000" })
+ *     .withApprovals([{ from: "addr1", spender: "addr2", amount: "5000" }])
+ *     .blacklist("addr3")
+ *     .paused()
+ *     .build("scenario");
+ *
+ *   const { token, owner, addr1, state } = await loadFixture(scenario);
+ *
+ * Steps run in a fixed order regardless of call order: balances, approvals,
+ * fee mints, blacklist, pause. Amounts are token units (parsed with
+ * parseEther) unless passed as bigint. Signers are named owner/addrN or by
+ * persona (see personas.js), and the fixture returns both.
+ */
+
+const SIGNER_NAMES = ["owner", "addr1", "addr2", "addr3", "addr4", "addr5"];
+
+const DEFAULT_FEE_MINT_AMOUNT = "1000";
+
+// loadFixture snapshots by function identity, so identical specs must
+// always resolve to the same function
+const builtFixtures = new Map();
+
+function toAmount(value) {
+  return typeof value === "bigint" ? value : ethers.parseEther(String(value));
+}
+
+function serialize(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? `${v}n` : v));
+}
+
+function resolveSigner(accounts, name) {
+  if (!accounts[name]) {
+    throw new Error(`Unknown signer "${name}", expected one of: ${[...SIGNER_NAMES, ...personaNames()].join(", ")}`);
+  }
+  return accounts[name];
+}
+
+function defaultFixtureName(spec) {
+  const parts = [];
+  if (Object.keys(spec.balances).length > 0) parts.push("Balances");
+  if (spec.approvals.length > 0) parts.push("Approvals");
+  if (spec.feeMinters.length > 0) parts.push("Fees");
+  if (spec.blacklisted.length > 0) parts.push("Blacklist");
+  if (spec.paused) parts.push("Paused");
+  return parts.length > 0 ? `tokenFixtureWith${parts.join("")}` : "tokenFixture";
+}
+
+/**
+ * Read balances, supply and contract ETH for every named signer
+ */
+async function captureState(token, accounts) {
+  const state = {};
+  for (const name of SIGNER_NAMES) {
+    state[`${name}Balance`] = await token.balanceOf(accounts[name].address);
+  }
+  state.totalSupply = await token.totalSupply();
+  state.contractEthBalance = await ethers.provider.getBalance(await token.getAddress());
+  return state;
+}
+
+/**
+ * Deploy MyToken and apply every step of the spec
+ */
+async function applySpec(spec) {
+  const signers = await ethers.getSigners();
+  const accounts = await personas();
+  SIGNER_NAMES.forEach((name, i) => {
+    accounts[name] = signers[i];
+  });
+
+  const MyToken = await ethers.getContractFactory("MyToken");
+  const initialSupply = toAmount(spec.supply);
+  const token = await MyToken.deploy(spec.name, spec.symbol, initialSupply);
+  await registerToken(token);
+
+  for (const [name, amount] of Object.entries(spec.balances)) {
+    await token.transfer(resolveSigner(accounts, name).address, toAmount(amount));
+  }
+
+  for (const { from, spender, amount } of spec.approvals) {
+    await token
+      .connect(resolveSigner(accounts, from))
+      .approve(resolveSigner(accounts, spender).address, toAmount(amount));
+  }
+
+  if (spec.feeMinters.length > 0) {
+    const fee = await token.mintingFee();
+    for (const { name, amount } of spec.feeMinters) {
+      const minter = resolveSigner(accounts, name);
+      await token.connect(minter).mintWithFee(minter.address, toAmount(amount), { value: fee });
+    }
+  }
+
+  for (const name of spec.blacklisted) {
+    await token.setBlacklist(resolveSigner(accounts, name).address, true);
+  }
+
+  if (spec.paused) {
+    await token.pause();
+  }
+
+  return {
+    token,
+    ...accounts,
+    initialSupply,
+    state: await captureState(token, accounts),
+  };
+}
+
+function createBuilder(spec) {
+  const extend = (patch) => createBuilder({ ...spec, ...patch });
+
+  return {
+    /**
+     * Transfer tokens from owner, e.g. { addr1: "10000" }
+     */
+    withBalances(balances) {
+      return extend({ balances: { ...spec.balances, ...balances } });
+    },
+
+    /**
+     * Set allowances, e.g. [{ from: "addr1", spender: "addr2", amount: "5000" }]
+     * `from` defaults to owner
+     */
+    withApprovals(approvals) {
+      const normalized = approvals.map(({ from = "owner", spender, amount }) => ({ from, spender, amount }));
+      return extend({ approvals: [...spec.approvals, ...normalized] });
+    },
+
+    /**
+     * Blacklist one or more signers by name
+     */
+    blacklist(...names) {
+      return extend({ blacklisted: [...spec.blacklisted, ...names] });
+    },
+
+    /**
+     * Leave the token paused
+     */
+    paused() {
+      return extend({ paused: true });
+    },
+
+    /**
+     * Collect minting fees via mintWithFee, each minter minting `amount` to
+     * itself. Accepts a count (addr1..addrN) or a list of signer names.
+     */
+    withFeesCollected(minters, amount = DEFAULT_FEE_MINT_AMOUNT) {
+      if (typeof minters === "number" && minters > SIGNER_NAMES.length - 1) {
+        throw new Error(`Cannot collect ${minters} fees with ${SIGNER_NAMES.length - 1} non-owner signers`);
+      }
+      const names = typeof minters === "number"
+        ? SIGNER_NAMES.slice(1, minters + 1)
+        : minters;
+      return extend({ feeMinters: [...spec.feeMinters, ...names.map((name) => ({ name, amount }))] });
+    },
+
+    /**
+     * Return a named fixture function suitable for loadFixture
+     */
+    build(fixtureName = defaultFixtureName(spec)) {
+      const key = serialize({ fixtureName, spec });
+      if (!builtFixtures.has(key)) {
+        const fixture = async function () {
+          return applySpec(spec);
+        };
+        // loadFixture rejects anonymous functions
+        Object.defineProperty(fixture, "name", { value: fixtureName });
+        // The spec identifies the setup for the on-disk fixture cache
+        fixture.cacheKey = key;
+        builtFixtures.set(key, fixture);
+      }
+      return builtFixtures.get(key);
+    },
+  };
+}
+
+/**
+ * Start a MyToken fixture with the given deployment parameters
+ */
+function tokenFixture({ name = "MyToken", symbol = "MTK", supply = "1000000" } = {}) {
+  return createBuilder({
+    name,
+    symbol,
+    supply,
+    balances: {},
+    approvals: [],
+    feeMinters: [],
+    blacklisted: [],
+    paused: false,
+  });
+}
+
+module.exports = {
+  tokenFixture,
+  SIGNER_NAMES,
+};
@@ -0,0 +1,367 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { artifacts, ethers, network } = require("hardhat");
+
+/**
+ * On-disk fixture snapshots
+ *
+ * Usage (through the fixture registry):
+ *   defineFixture("nearMaxSupply", { persist: true, onLoad }, setup);
+ *
+ * The first run sets the fixture up as usual and writes what the setup
+ * changed to cache/fixtures/<name>-<key>.json: code, storage, balance and
+ * nonce of every account its transactions and hardhat_set* calls touched.
+ * Later runs write those changes onto the chain instead of running the
+ * setup. The key hashes the fixture's source (its setup and its parents', or
+ * a fixture builder spec) together with the bytecode of every compiled
+ * contract, so editing MyToken.sol or the fixture invalidates the file;
+ * stale files for the same fixture are deleted. Helpers the setup calls are
+ * not part of the key.
+ *
+ * Only changes made after the capture starts are saved, so the parent's
+ * state and earlier tests are not part of the file. The block number and
+ * timestamp the setup ended at are saved too, and a restore mines empty
+ * blocks up to them. Hardhat dates blocks by the wall clock, so before a
+ * captured setup runs the chain is moved ANCHOR_BLOCKS blocks (about six
+ * weeks) ahead; later runs then start below that block and time and can
+ * catch up to it. The setup runs instead of a restore, and the file is
+ * written again, when:
+ *   - a contract the setup created would land on an address that already
+ *     has code or storage in this run
+ *   - a contract the setup used has different code in this run
+ *   - the setup read block.timestamp or block.number and the chain is
+ *     already past the saved block or time
+ * Set FIXTURE_CACHE=false to always run the setup.
+ */
+
+const CACHE_DIR = path.join(__dirname, "..", "..", "cache", "fixtures");
+const CALL_OPS = ["CALL", "CALLCODE", "DELEGATECALL", "STATICCALL"];
+const CREATE_OPS = ["CREATE", "CREATE2"];
+
+const TIME_OPS = ["TIMESTAMP", "NUMBER"];
+
+// Captured setups run this far ahead: 1000 blocks an hour apart
+const ANCHOR_BLOCKS = 1000;
+const ANCHOR_INTERVAL = 60 * 60;
+
+// Part of the cache key, so files written in an older format are ignored
+const FORMAT = 2;
+
+// Captures in progress; each collects the accounts and slots written outside transactions, e.g. by storage.js
+const captures = new Set();
+
+function touch(accounts, address, slot) {
+  const key = ethers.getAddress(address);
+  if (!accounts.has(key)) accounts.set(key, new Set());
+  if (slot !== undefined) accounts.get(key).add(ethers.toBeHex(slot, 32));
+}
+
+const provider = network.provider;
+const request = provider.request.bind(provider);
+const send = provider.send.bind(provider);
+const recordDirectWrite = (method, params = []) => {
+  for (const { writes } of captures) {
+    if (method === "hardhat_setStorageAt") touch(writes, params[0], BigInt(params[1]));
+    else if (["hardhat_setBalance", "hardhat_setCode", "hardhat_setNonce"].includes(method)) touch(writes, params[0]);
+  }
+};
+provider.request = (args) => {
+  recordDirectWrite(args.method, args.params);
+  return request(args);
+};
+provider.send = (method, params) => {
+  recordDirectWrite(method, params);
+  return send(method, params);
+};
+
+function word(hex) {
+  return BigInt(`0x${hex.replace(/^0x/, "")}`);
+}
+
+function toAddress(value) {
+  return ethers.getAddress(ethers.toBeHex(value & ((1n << 160n) - 1n), 20));
+}
+
+/**
+ * Record the accounts and storage slots one transaction touched; returns
+ * whether it read the block's timestamp or number
+ */
+async function traceTransaction(tx, receipt, accounts) {
+  touch(accounts, tx.from);
+  if (tx.to) touch(accounts, tx.to);
+  if (receipt.contractAddress) touch(accounts, receipt.contractAddress);
+
+  const trace = await send("debug_traceTransaction", [tx.hash, { disableMemory: true, disableStorage: true }]);
+
+  // Storage context per call depth; created contracts learn their address on return
+  const frames = [{ address: tx.to || receipt.contractAddress, slots: [] }];
+  let pending = null;
+  let readsTime = false;
+
+  for (const log of trace.structLogs) {
+    const stack = log.stack || [];
+    const top = (n) => word(stack[stack.length - 1 - n]);
+
+    if (log.depth > frames.length && pending) {
+      frames.push(pending);
+    }
+    while (log.depth < frames.length) {
+      const frame = frames.pop();
+      if (!frame.address && stack.length > 0 && top(0) !== 0n) frame.address = toAddress(top(0));
+      if (frame.address) frame.slots.forEach((slot) => touch(accounts, frame.address, slot));
+    }
+    pending = null;
+
+    const current = frames[frames.length - 1];
+    if (log.op === "SSTORE") {
+      current.slots.push(top(0));
+    } else if (CALL_OPS.includes(log.op)) {
+      const target = toAddress(top(1));
+      touch(accounts, target);
+      const delegated = log.op === "DELEGATECALL" || log.op === "CALLCODE";
+      pending = { address: delegated ? current.address : target, slots: [] };
+    } else if (CREATE_OPS.includes(log.op)) {
+      pending = { address: null, slots: [] };
+    } else if (log.op === "SELFDESTRUCT") {
+      touch(accounts, toAddress(top(0)));
+    } else if (TIME_OPS.includes(log.op)) {
+      readsTime = true;
+    }
+  }
+
+  for (const frame of frames) {
+    if (frame.address) frame.slots.forEach((slot) => touch(accounts, frame.address, slot));
+  }
+  for (const log of receipt.logs) touch(accounts, log.address);
+  return readsTime;
+}
+
+/**
+ * Start recording the changes made from now on
+ */
+async function startCapture() {
+  const capture = { fromBlock: await ethers.provider.getBlockNumber(), writes: new Map() };
+  captures.add(capture);
+  return capture;
+}
+
+/**
+ * State of every account touched since startCapture. Accounts without code
+ * before the capture that have code now are marked `created`
+ */
+async function captureState(capture) {
+  captures.delete(capture);
+  const latest = await ethers.provider.getBlockNumber();
+  const accounts = new Map();
+  let dependsOnTime = false;
+
+  for (let number = capture.fromBlock + 1; number <= latest; number++) {
+    const block = await ethers.provider.getBlock(number, true);
+    for (const tx of block.prefetchedTransactions) {
+      const readsTime = await traceTransaction(tx, await ethers.provider.getTransactionReceipt(tx.hash), accounts);
+      dependsOnTime = dependsOnTime || readsTime;
+    }
+  }
+  for (const [address, slots] of capture.writes) {
+    slots.forEach((slot) => touch(accounts, address, BigInt(slot)));
+    touch(accounts, address);
+  }
+
+  const block = await ethers.provider.getBlock(latest);
+  const state = { dependsOnTime, block: { number: block.number, timestamp: block.timestamp }, accounts: {} };
+  for (const [address, slots] of accounts) {
+    const storage = {};
+    for (const slot of slots) {
+      storage[slot] = await send("eth_getStorageAt", [address, ethers.toQuantity(BigInt(slot)), "latest"]);
+    }
+    const code = await ethers.provider.getCode(address);
+    state.accounts[address] = {
+      balance: (await ethers.provider.getBalance(address)).toString(),
+      nonce: await ethers.provider.getTransactionCount(address),
+      code,
+      created: code !== "0x" && (await ethers.provider.getCode(address, capture.fromBlock)) === "0x",
+      storage,
+    };
+  }
+  return state;
+}
+
+/**
+ * Why the chain cannot be moved forward to `block`, or null. Every block
+ * mined on the way needs a later timestamp than the one before it
+ */
+async function blockConflict(block) {
+  const latest = await ethers.provider.getBlock("latest");
+  const blocks = block.number - latest.number;
+  if (blocks === 0 && block.timestamp === latest.timestamp) return null;
+  if (blocks <= 0 || block.timestamp - latest.timestamp < blocks) {
+    return `the chain is past block ${block.number} at ${block.timestamp}`;
+  }
+  return null;
+}
+
+/**
+ * Mine empty blocks up to `block`'s number, the last one at its timestamp
+ */
+async function moveTo(block) {
+  const blocks = block.number - (await ethers.provider.getBlockNumber());
+  if (blocks === 0) return;
+  await provider.send("evm_setNextBlockTimestamp", [ethers.toQuantity(block.timestamp - (blocks - 1))]);
+  await provider.send("hardhat_mine", [ethers.toQuantity(blocks), "0x1"]);
+}
+
+/**
+ * Why a captured state cannot be written onto the current chain, or null
+ */
+async function restoreConflict(state) {
+  if (state.dependsOnTime) {
+    const conflict = await blockConflict(state.block);
+    if (conflict) return `the setup reads block time and ${conflict}`;
+  }
+
+  for (const [address, account] of Object.entries(state.accounts)) {
+    const code = await ethers.provider.getCode(address);
+    if (!account.created) {
+      if (code !== account.code) return `${address} has different code`;
+      continue;
+    }
+    if (code !== "0x") return `${address} already has code`;
+    for (const slot of Object.keys(account.storage)) {
+      const value = await send("eth_getStorageAt", [address, ethers.toQuantity(BigInt(slot)), "latest"]);
+      if (BigInt(value) !== 0n) return `${address} already has storage`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Move the chain to the captured block when it hasn't passed it yet and
+ * write the captured state onto it; the writes are recorded, so a capture
+ * running around the restore sees them too
+ */
+async function restoreState(state) {
+  if (!(await blockConflict(state.block))) await moveTo(state.block);
+
+  for (const [address, account] of Object.entries(state.accounts)) {
+    if (account.code !== "0x") await provider.send("hardhat_setCode", [address, account.code]);
+    for (const [slot, value] of Object.entries(account.storage)) {
+      await provider.send("hardhat_setStorageAt", [address, ethers.toQuantity(BigInt(slot)), value]);
+    }
+    await provider.send("hardhat_setBalance", [address, ethers.toQuantity(BigInt(account.balance))]);
+
+    // Never lower a nonce: later deployments would collide with existing contracts
+    const nonce = Math.max(account.nonce, await ethers.provider.getTransactionCount(address));
+    await provider.send("hardhat_setNonce", [address, ethers.toQuantity(nonce)]);
+  }
+}
+
+function isSigner(value) {
+  return typeof value.address === "string" && typeof value.sendTransaction === "function" && !value.interface;
+}
+
+/**
+ * Fixture results as JSON: contracts, signers and bigints are tagged
+ */
+async function serialize(value) {
+  if (typeof value === "bigint") return { $bigint: value.toString() };
+  if (value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return Promise.all(value.map(serialize));
+  if (value instanceof ethers.BaseContract) {
+    return {
+      $contract: {
+        address: await value.getAddress(),
+        abi: value.interface.formatJson(),
+        runner: value.runner && value.runner.address,
+      },
+    };
+  }
+  if (isSigner(value)) return { $signer: value.address };
+  if (Object.getPrototypeOf(value) !== Object.prototype) {
+    throw new Error(`Cannot persist a ${value.constructor.name} in a fixture result`);
+  }
+
+  const result = {};
+  for (const [key, entry] of Object.entries(value)) {
+    result[key] = await serialize(entry);
+  }
+  return result;
+}
+
+async function deserialize(value) {
+  if (value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return Promise.all(value.map(deserialize));
+  if (value.$bigint !== undefined) return BigInt(value.$bigint);
+  if (value.$signer) return ethers.getSigner(value.$signer);
+  if (value.$contract) {
+    const { address, abi, runner } = value.$contract;
+    return new ethers.Contract(address, abi, runner ? await ethers.getSigner(runner) : ethers.provider);
+  }
+
+  const result = {};
+  for (const [key, entry] of Object.entries(value)) {
+    result[key] = await deserialize(entry);
+  }
+  return result;
+}
+
+/**
+ * Hash of the fixture source, every compiled contract's bytecode and the signers
+ */
+async function cacheKey(source) {
+  const hash = crypto.createHash("sha256").update(`${FORMAT}\n${source}`);
+  for (const name of (await artifacts.getAllFullyQualifiedNames()).sort()) {
+    hash.update(name).update((await artifacts.readArtifact(name)).bytecode);
+  }
+  for (const signer of await ethers.getSigners()) {
+    hash.update(signer.address);
+  }
+  return hash.digest("hex").slice(0, 16);
+}
+
+/**
+ * Restore a fixture from disk, or run it and save what it produced
+ */
+async function loadCachedFixture(name, source, run) {
+  if (process.env.FIXTURE_CACHE === "false") return { result: await run(), restored: false };
+
+  const key = await cacheKey(source);
+  const file = path.join(CACHE_DIR, `${name}-${key}.json`);
+
+  if (fs.existsSync(file)) {
+    const cached = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!(await restoreConflict(cached.state))) {
+      await restoreState(cached.state);
+      return { result: await deserialize(cached.result), restored: true };
+    }
+  }
+
+  await provider.send("hardhat_mine", [ethers.toQuantity(ANCHOR_BLOCKS), ethers.toQuantity(ANCHOR_INTERVAL)]);
+  const capture = await startCapture();
+  let result;
+  try {
+    result = await run();
+  } catch (error) {
+    captures.delete(capture);
+    throw error;
+  }
+  const entry = { name, key, state: await captureState(capture), result: await serialize(result) };
+
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  const previous = new RegExp(`^${name}-[0-9a-f]{16}\\.json$`);
+  for (const stale of fs.readdirSync(CACHE_DIR).filter((f) => previous.test(f))) {
+    fs.unlinkSync(path.join(CACHE_DIR, stale));
+  }
+  fs.writeFileSync(file, JSON.stringify(entry, null, 2) + "\n");
+
+  return { result, restored: false };
+}
+
+module.exports = {
+  CACHE_DIR,
+  captureState,
+  loadCachedFixture,
+  restoreConflict,
+  restoreState,
+  startCapture,
+};
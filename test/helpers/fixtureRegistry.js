@@ -0,0 +1,172 @@
+const fs = require("fs");
+const path = require("path");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { loadCachedFixture } = require("./fixtureCache");
+
+/**
+ * Shared fixture registry
+ *
+ * Usage:
+ *   const deployTokenFixture = defineFixture("token", async () => ({ token, owner }));
+ *   defineFixture("tokenPaused", { parent: "token" }, async ({ token }) => {
+ *     await token.pause();
+ *     return { paused: true };
+ *   });
+ *
+ *   const { token, paused } = await useFixture("tokenPaused");
+ *
+ * A fixture with a parent starts from the parent's snapshot (loaded with
+ * loadFixture, so it is set up once) and its setup receives the parent's
+ * result; what it returns is merged on top. Parents are registered names
+ * or any function loadFixture accepts, e.g. a fixture builder scenario.
+ *
+ * Each fixture is snapshotted the first time it loads. Hardhat drops
+ * snapshots taken after the one being restored, so loading a parent
+ * invalidates its children and they run again on their next load; the
+ * setup report counts those runs. FIXTURE_REPORT=true prints it after the
+ * run. With `persist: true` what the setup changes on top of its parent is
+ * also saved to disk and restored by later runs (see fixtureCache.js);
+ * list fixture functions the setup calls itself, such as a fixture builder
+ * scenario, in `dependsOn` so their source or spec is part of the cache key.
+ * `onLoad(result)` runs after the setup and after a restore alike, for
+ * side effects outside the chain such as assertion labels. findDuplicateFixtures()
+ * lists test files that define their own copy of a shared fixture.
+ */
+
+const fixtures = new Map();
+
+function resolveFixture(nameOrFixture) {
+  if (typeof nameOrFixture === "function") return nameOrFixture;
+  if (!fixtures.has(nameOrFixture)) {
+    throw new Error(`Unknown fixture "${nameOrFixture}"; registered: ${[...fixtures.keys()].join(", ")}`);
+  }
+  return fixtures.get(nameOrFixture).fixture;
+}
+
+/**
+ * Register a fixture by name and return the function to pass to loadFixture
+ */
+function defineFixture(name, options, setup) {
+  if (typeof options === "function") {
+    setup = options;
+    options = {};
+  }
+  if (fixtures.has(name)) {
+    throw new Error(`Fixture "${name}" is already registered`);
+  }
+
+  // Resolved now so a parent has to exist first, which rules out cycles
+  const parent = options.parent ? resolveFixture(options.parent) : null;
+  const entry = { name, parent: parent ? parent.name : null, runs: 0, setupMs: 0, loads: 0, restores: 0 };
+
+  const run = async (base) => {
+    const started = performance.now();
+    const result = await setup(base);
+    entry.runs++;
+    entry.setupMs += performance.now() - started;
+    return result;
+  };
+
+  const fixture = async function () {
+    const base = parent ? await loadFixture(parent) : {};
+    let result;
+    if (options.persist) {
+      const cached = await loadCachedFixture(name, fixture.cacheKey, () => run(base));
+      if (cached.restored) entry.restores++;
+      result = cached.result;
+    } else {
+      result = await run(base);
+    }
+
+    const merged = { ...base, ...result };
+    if (options.onLoad) await options.onLoad(merged);
+    return merged;
+  };
+  // loadFixture rejects anonymous functions
+  Object.defineProperty(fixture, "name", { value: name });
+  // Identifies the setup for the on-disk cache; fixture builder scenarios carry their spec
+  fixture.cacheKey = [setup, parent, ...(options.dependsOn || [])]
+    .map((source) => (source ? source.cacheKey || source.toString() : ""))
+    .join("\n");
+
+  entry.fixture = fixture;
+  fixtures.set(name, entry);
+  return fixture;
+}
+
+/**
+ * loadFixture a registered fixture by name
+ */
+async function useFixture(name) {
+  const fixture = resolveFixture(name);
+  fixtures.get(name).loads++;
+  return loadFixture(fixture);
+}
+
+/**
+ * Setup statistics per fixture; setupMs excludes the parent's setup
+ */
+function fixtureReport() {
+  return [...fixtures.values()].map(({ name, parent, runs, setupMs, loads, restores }) => ({
+    name,
+    parent,
+    runs,
+    loads,
+    restores,
+    setupMs: Math.round(setupMs),
+  }));
+}
+
+function printFixtureReport() {
+  const rows = fixtureReport().filter((row) => row.runs > 0 || row.restores > 0);
+  console.log("\nFixture setup:");
+  for (const row of rows) {
+    const parent = row.parent ? ` (on ${row.parent})` : "";
+    const reruns = row.runs > 1 ? `, set up ${row.runs} times` : "";
+    const restores = row.restores > 0 ? `, restored from disk ${row.restores} times` : "";
+    console.log(`  ${row.name}${parent}: ${row.setupMs}ms${reruns}${restores}`);
+  }
+}
+
+/**
+ * Test files that define a function or constant named like a shared fixture
+ */
+function findDuplicateFixtures(testDir, sharedNames) {
+  const shared = new Set(sharedNames);
+  const duplicates = [];
+
+  const visit = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        visit(file);
+        continue;
+      }
+      if (!entry.name.endsWith(".test.js")) continue;
+
+      fs.readFileSync(file, "utf8").split("\n").forEach((line, i) => {
+        const match = line.match(/^\s*(?:async\s+function\s+|function\s+|(?:const|let)\s+)(\w+)\b/);
+        if (match && shared.has(match[1])) {
+          duplicates.push({ file: path.relative(testDir, file), line: i + 1, name: match[1] });
+        }
+      });
+    }
+  };
+
+  visit(testDir);
+  return duplicates;
+}
+
+// Hardhat loads every file under test/, so this root hook sees the whole run
+if (process.env.FIXTURE_REPORT === "true" && typeof after === "function") {
+  after(function () {
+    printFixtureReport();
+  });
+}
+
+module.exports = {
+  defineFixture,
+  findDuplicateFixtures,
+  fixtureReport,
+  useFixture,
+};
@@ -1,20 +1,27 @@
 const { ethers } = require("hardhat");
+const { tokenFixture } = require("./fixtureBuilder");
+const { personas } = require("./personas");
+const { registerToken } = require("./readableAssertions");
+const { createTokenStorage } = require("./storage");
+const { defineFixture } = require("./fixtureRegistry");
 
 /**
- * Reusable fixtures for testing
+ * Reusable fixtures for testing, registered by name in fixtureRegistry.js
  */
 
 /**
  * Deploy MyToken with default parameters
  */
-async function deployTokenFixture() {
+const deployTokenFixture = defineFixture("token", async () => {
   const [owner, addr1, addr2, addr3, addr4, addr5] = await ethers.getSigners();
   
   const MyToken = await ethers.getContractFactory("MyToken");
   const initialSupply = ethers.parseEther("1000000");
   const token = await MyToken.deploy("MyToken", "MTK", initialSupply);
+  await registerToken(token);
   
   return { 
+    ...(await personas()),
     token, 
     owner, 
     addr1, 
@@ -24,7 +31,7 @@ async function deployTokenFixture() {
     addr5,
     initialSupply 
   };
-}
+});
 
 /**
  * Deploy MyToken with custom parameters
@@ -35,6 +42,7 @@ async function deployTokenWithParamsFixture(name = "CustomToken", symbol = "CTK"
   const MyToken = await ethers.getContractFactory("MyToken");
   const initialSupply = ethers.parseEther(supply);
   const token = await MyToken.deploy(name, symbol, initialSupply);
+  await registerToken(token);
   
   return { token, owner, addr1, addr2, addr3, initialSupply };
 }
@@ -42,18 +50,22 @@ async function deployTokenWithParamsFixture(name = "CustomToken", symbol = "CTK"
 /**
  * Deploy token and distribute to multiple addresses
  */
-async function deployTokenWithDistributionFixture() {
-  const { token, owner, addr1, addr2, addr3, initialSupply } = await deployTokenFixture();
-  
-  // Distribute tokens
+const distributionScenario = tokenFixture()
+  .withBalances({ addr1: "10000", addr2: "20000", addr3: "30000" })
+  .build("distributionScenario");
+
+const deployTokenWithDistributionFixture = defineFixture("distribution", { parent: distributionScenario }, async ({
+  token,
+  owner,
+  addr1,
+  addr2,
+  addr3,
+  initialSupply,
+}) => {
   const amount1 = ethers.parseEther("10000");
   const amount2 = ethers.parseEther("20000");
   const amount3 = ethers.parseEther("30000");
   
-  await token.transfer(addr1.address, amount1);
-  await token.transfer(addr2.address, amount2);
-  await token.transfer(addr3.address, amount3);
-  
   return {
     token,
     owner,
@@ -67,76 +79,89 @@ async function deployTokenWithDistributionFixture() {
       addr3: amount3,
     }
   };
-}
+});
 
 /**
  * Deploy token with some addresses blacklisted
  */
-async function deployTokenWithBlacklistFixture() {
-  const { token, owner, addr1, addr2, addr3 } = await deployTokenFixture();
-  
-  // Blacklist addr2
-  await token.setBlacklist(addr2.address, true);
-  
+const blacklistScenario = tokenFixture()
+  .blacklist("blacklistedUser")
+  .build("blacklistScenario");
+
+const deployTokenWithBlacklistFixture = defineFixture("blacklist", { parent: blacklistScenario }, async ({
+  token,
+  owner,
+  addr1,
+  addr2,
+  addr3,
+  blacklistedUser,
+}) => {
   return {
     token,
     owner,
     addr1,
-    addr2, // blacklisted
+    addr2,
     addr3,
-    blacklisted: [addr2.address]
+    blacklistedUser,
+    blacklisted: [blacklistedUser.address]
   };
-}
+});
 
 /**
  * Deploy token in paused state
  */
-async function deployTokenPausedFixture() {
-  const fixture = await deployTokenFixture();
-  
-  await fixture.token.pause();
-  
-  return fixture;
-}
+const pausedScenario = tokenFixture()
+  .paused()
+  .build("pausedScenario");
+
+const deployTokenPausedFixture = defineFixture("paused", { parent: pausedScenario }, async () => ({}));
 
 /**
  * Deploy token with minting fees collected
  */
-async function deployTokenWithFeesFixture() {
-  const { token, owner, addr1, addr2, addr3 } = await deployTokenFixture();
-  
-  // Perform some minting with fees
-  const fee = await token.mintingFee();
-  const mintAmount = ethers.parseEther("1000");
-  
-  await token.connect(addr1).mintWithFee(addr1.address, mintAmount, { value: fee });
-  
-  const contractBalance = await ethers.provider.getBalance(await token.getAddress());
-  
+const feesScenario = tokenFixture()
+  .withFeesCollected(["addr1"], "1000")
+  .build("feesScenario");
+
+const deployTokenWithFeesFixture = defineFixture("fees", { parent: feesScenario }, async ({
+  token,
+  owner,
+  addr1,
+  addr2,
+  addr3,
+  state,
+}) => {
   return {
     token,
     owner,
     addr1,
     addr2,
     addr3,
-    contractBalance,
-    mintingFee: fee
+    contractBalance: state.contractEthBalance,
+    mintingFee: await token.mintingFee()
   };
-}
+});
 
 /**
  * Deploy token with approvals set up
  */
-async function deployTokenWithApprovalsFixture() {
-  const { token, owner, addr1, addr2, addr3 } = await deployTokenFixture();
-  
+const approvalsScenario = tokenFixture()
+  .withApprovals([
+    { spender: "addr1", amount: "5000" },
+    { spender: "addr2", amount: "10000" },
+  ])
+  .build("approvalsScenario");
+
+const deployTokenWithApprovalsFixture = defineFixture("approvals", { parent: approvalsScenario }, async ({
+  token,
+  owner,
+  addr1,
+  addr2,
+  addr3,
+}) => {
   const approvalAmount1 = ethers.parseEther("5000");
   const approvalAmount2 = ethers.parseEther("10000");
   
-  // Set up approvals
-  await token.approve(addr1.address, approvalAmount1);
-  await token.approve(addr2.address, approvalAmount2);
-  
   return {
     token,
     owner,
@@ -148,19 +173,25 @@ async function deployTokenWithApprovalsFixture() {
       addr2: approvalAmount2,
     }
   };
-}
+});
+
+// Labels live in this process, so they are registered on restores from disk too
+const registerPersistedToken = ({ token }) => registerToken(token);
 
 /**
  * Deploy token with max supply nearly reached
  */
-async function deployTokenNearMaxSupplyFixture() {
+const deployTokenNearMaxSupplyFixture = defineFixture("nearMaxSupply", { persist: true, onLoad: registerPersistedToken }, async () => {
   const [owner, addr1, addr2] = await ethers.getSigners();
   
   const MyToken = await ethers.getContractFactory("MyToken");
   const maxSupply = ethers.parseEther("1000000000"); // 1 billion
   const nearMaxSupply = maxSupply - ethers.parseEther("1000"); // Leave only 1000 tokens
   
-  const token = await MyToken.deploy("MyToken", "MTK", nearMaxSupply);
+  const token = await MyToken.deploy("MyToken", "MTK", ethers.parseEther("1000000"));
+  
+  // Seed the owner's balance (and with it the supply) instead of minting it
+  await createTokenStorage(token).setBalance(owner.address, nearMaxSupply);
   
   return {
     token,
@@ -170,12 +201,12 @@ async function deployTokenNearMaxSupplyFixture() {
     maxSupply,
     remainingSupply: ethers.parseEther("1000")
   };
-}
+});
 
 /**
  * Deploy multiple tokens for cross-token testing
  */
-async function deployMultipleTokensFixture() {
+const deployMultipleTokensFixture = defineFixture("multipleTokens", async () => {
   const [owner, addr1, addr2, addr3] = await ethers.getSigners();
   
   const MyToken = await ethers.getContractFactory("MyToken");
@@ -193,25 +224,27 @@ async function deployMultipleTokensFixture() {
     addr2,
     addr3
   };
-}
+});
 
 /**
  * Create a snapshot fixture for complex test setups
  */
-async function createComplexScenarioFixture() {
-  const { token, owner, addr1, addr2, addr3 } = await deployTokenFixture();
-  
-  // Complex setup
-  await token.transfer(addr1.address, ethers.parseEther("50000"));
-  await token.transfer(addr2.address, ethers.parseEther("30000"));
-  
-  await token.connect(addr1).approve(addr2.address, ethers.parseEther("10000"));
-  await token.connect(addr2).approve(addr3.address, ethers.parseEther("5000"));
-  
-  // Mint with fee
-  const fee = await token.mintingFee();
-  await token.connect(addr3).mintWithFee(addr3.address, ethers.parseEther("1000"), { value: fee });
-  
+const complexScenario = tokenFixture()
+  .withBalances({ addr1: "50000", addr2: "30000" })
+  .withApprovals([
+    { from: "addr1", spender: "addr2", amount: "10000" },
+    { from: "addr2", spender: "addr3", amount: "5000" },
+  ])
+  .withFeesCollected(["addr3"], "1000")
+  .build("complexScenario");
+
+// Runs the scenario itself rather than as a parent, so the whole setup is persisted
+const createComplexScenarioFixture = defineFixture("complex", {
+  persist: true,
+  dependsOn: [complexScenario],
+  onLoad: registerPersistedToken,
+}, async () => {
+  const { token, owner, addr1, addr2, addr3, state } = await complexScenario();
   return {
     token,
     owner,
@@ -219,15 +252,15 @@ async function createComplexScenarioFixture() {
     addr2,
     addr3,
     state: {
-      ownerBalance: await token.balanceOf(owner.address),
-      addr1Balance: await token.balanceOf(addr1.address),
-      addr2Balance: await token.balanceOf(addr2.address),
-      addr3Balance: await token.balanceOf(addr3.address),
-      totalSupply: await token.totalSupply(),
-      contractEthBalance: await ethers.provider.getBalance(await token.getAddress())
+      ownerBalance: state.ownerBalance,
+      addr1Balance: state.addr1Balance,
+      addr2Balance: state.addr2Balance,
+      addr3Balance: state.addr3Balance,
+      totalSupply: state.totalSupply,
+      contractEthBalance: state.contractEthBalance
     }
   };
-}
+});
 
 module.exports = {
   deployTokenFixture,
@@ -0,0 +1,332 @@
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { ONE_HOUR, ONE_DAY } = require("./constants");
+
+/**
+ * Stateful fuzzing harness for MyToken
+ *
+ * Generates seeded random action sequences, runs them against a fixture and
+ * checks invariants after every step. Reverting actions are expected and
+ * simply recorded; only invariant violations fail. A failing sequence is
+ * shrunk to a minimal reproduction before it is reported.
+ */
+
+const ACTORS = ["owner", "addr1", "addr2", "addr3", "addr4", "addr5"];
+
+// Percentages of the actor's current balance; 101 forces insufficient balance
+const BALANCE_PERCENTAGES = [0, 1, 50, 100, 101];
+
+// "remaining" fills MAX_SUPPLY exactly, "overflow" exceeds it by one wei
+const MINT_AMOUNTS = ["fixed", "remaining", "overflow"];
+
+const FEE_PAYMENTS = ["exact", "under", "over"];
+
+const TIME_STEPS = [1, ONE_HOUR, ONE_DAY - 1, ONE_DAY];
+
+/**
+ * Seeded PRNG (mulberry32)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    pick: (items) => items[Math.floor(next() * items.length)],
+    bool: () => next() < 0.5,
+  };
+}
+
+// Admin calls mostly come from the owner so they actually take effect
+function pickAdmin(rng) {
+  return rng.next() < 0.8 ? "owner" : rng.pick(ACTORS);
+}
+
+const ACTION_GENERATORS = {
+  transfer: (rng) => ({
+    type: "transfer",
+    actor: rng.pick(ACTORS),
+    to: rng.pick(ACTORS),
+    pct: rng.pick(BALANCE_PERCENTAGES),
+  }),
+  transferFrom: (rng) => ({
+    type: "transferFrom",
+    actor: rng.pick(ACTORS),
+    from: rng.pick(ACTORS),
+    to: rng.pick(ACTORS),
+    pct: rng.pick(BALANCE_PERCENTAGES),
+  }),
+  approve: (rng) => ({
+    type: "approve",
+    actor: rng.pick(ACTORS),
+    spender: rng.pick(ACTORS),
+    pct: rng.next() < 0.2 ? "max" : rng.pick(BALANCE_PERCENTAGES),
+  }),
+  mint: (rng) => ({
+    type: "mint",
+    actor: pickAdmin(rng),
+    to: rng.pick(ACTORS),
+    amount: rng.pick(MINT_AMOUNTS),
+  }),
+  mintWithFee: (rng) => ({
+    type: "mintWithFee",
+    actor: rng.pick(ACTORS),
+    to: rng.pick(ACTORS),
+    amount: rng.pick(MINT_AMOUNTS),
+    payment: rng.pick(FEE_PAYMENTS),
+  }),
+  burn: (rng) => ({
+    type: "burn",
+    actor: rng.pick(ACTORS),
+    pct: rng.pick(BALANCE_PERCENTAGES),
+  }),
+  pause: (rng) => ({ type: "pause", actor: pickAdmin(rng) }),
+  unpause: (rng) => ({ type: "unpause", actor: pickAdmin(rng) }),
+  setBlacklist: (rng) => ({
+    type: "setBlacklist",
+    actor: pickAdmin(rng),
+    account: rng.pick(ACTORS),
+    status: rng.bool(),
+  }),
+  emergencyWithdraw: (rng) => ({ type: "emergencyWithdraw", actor: pickAdmin(rng) }),
+  increaseTime: (rng) => ({ type: "increaseTime", seconds: rng.pick(TIME_STEPS) }),
+};
+
+/**
+ * Generate a reproducible action sequence from a seed
+ */
+function generateSequence(seed, length) {
+  const rng = createRandom(seed);
+  const types = Object.keys(ACTION_GENERATORS);
+  return Array.from({ length }, () => ACTION_GENERATORS[rng.pick(types)](rng));
+}
+
+function formatAction(action) {
+  const { type, actor, ...args } = action;
+  const params = Object.entries(args).map(([key, value]) => `${key}=${value}`).join(", ");
+  return actor ? `${actor}.${type}(${params})` : `${type}(${params})`;
+}
+
+async function percentageOfBalance(token, account, pct) {
+  if (pct === "max") return ethers.MaxUint256;
+  const balance = await token.balanceOf(account.address);
+  return (balance * BigInt(pct)) / 100n;
+}
+
+async function resolveMintAmount(token, kind) {
+  if (kind === "fixed") return ethers.parseEther("1000");
+  const remaining = await token.remainingSupply();
+  return kind === "remaining" ? remaining : remaining + 1n;
+}
+
+async function executeAction(context, action) {
+  const { token, accounts, ghost } = context;
+  const actor = accounts[action.actor];
+  const connected = actor ? token.connect(actor) : token;
+
+  switch (action.type) {
+    case "transfer":
+      return connected.transfer(
+        accounts[action.to].address,
+        await percentageOfBalance(token, actor, action.pct)
+      );
+    case "transferFrom":
+      return connected.transferFrom(
+        accounts[action.from].address,
+        accounts[action.to].address,
+        await percentageOfBalance(token, accounts[action.from], action.pct)
+      );
+    case "approve":
+      return connected.approve(
+        accounts[action.spender].address,
+        await percentageOfBalance(token, actor, action.pct)
+      );
+    case "mint":
+      return connected.mint(accounts[action.to].address, await resolveMintAmount(token, action.amount));
+    case "mintWithFee": {
+      const fee = await token.mintingFee();
+      const value = { exact: fee, under: fee > 0n ? fee - 1n : 0n, over: fee * 2n }[action.payment];
+      const tx = await connected.mintWithFee(
+        accounts[action.to].address,
+        await resolveMintAmount(token, action.amount),
+        { value }
+      );
+      ghost.feesPaid += value;
+      return tx;
+    }
+    case "burn":
+      return connected.burn(await percentageOfBalance(token, actor, action.pct));
+    case "pause":
+      return connected.pause();
+    case "unpause":
+      return connected.unpause();
+    case "setBlacklist":
+      return connected.setBlacklist(accounts[action.account].address, action.status);
+    case "emergencyWithdraw": {
+      const balance = await ethers.provider.getBalance(await token.getAddress());
+      const tx = await connected.emergencyWithdraw();
+      ghost.withdrawn += balance;
+      return tx;
+    }
+    case "increaseTime":
+      return time.increase(action.seconds);
+    default:
+      throw new Error(`Unknown action type "${action.type}"`);
+  }
+}
+
+/**
+ * Invariants checked after every step. Each returns a violation message or null.
+ */
+const DEFAULT_INVARIANTS = [
+  {
+    name: "sum of balances equals totalSupply",
+    async check({ token, accounts }) {
+      let sum = 0n;
+      for (const account of Object.values(accounts)) {
+        sum += await token.balanceOf(account.address);
+      }
+      const totalSupply = await token.totalSupply();
+      return sum === totalSupply ? null : `sum of balances ${sum} != totalSupply ${totalSupply}`;
+    },
+  },
+  {
+    name: "totalSupply <= MAX_SUPPLY",
+    async check({ token }) {
+      const totalSupply = await token.totalSupply();
+      const maxSupply = await token.MAX_SUPPLY();
+      return totalSupply <= maxSupply ? null : `totalSupply ${totalSupply} > MAX_SUPPLY ${maxSupply}`;
+    },
+  },
+  {
+    name: "remainingSupply equals MAX_SUPPLY - totalSupply",
+    async check({ token }) {
+      const expected = (await token.MAX_SUPPLY()) - (await token.totalSupply());
+      const remaining = await token.remainingSupply();
+      return remaining === expected ? null : `remainingSupply ${remaining} != ${expected}`;
+    },
+  },
+  {
+    name: "contract ETH equals fees paid minus withdrawals",
+    async check({ token, ghost }) {
+      const expected = ghost.initialEth + ghost.feesPaid - ghost.withdrawn;
+      const actual = await ethers.provider.getBalance(await token.getAddress());
+      return actual === expected ? null : `contract ETH ${actual} != expected ${expected}`;
+    },
+  },
+];
+
+/**
+ * Run one action sequence from a fresh fixture snapshot.
+ * Returns null when every invariant holds, otherwise the first violation.
+ */
+async function runSequence(fixture, actions, invariants = DEFAULT_INVARIANTS) {
+  const deployed = await loadFixture(fixture);
+  const accounts = {};
+  for (const name of ACTORS) {
+    accounts[name] = deployed[name];
+  }
+
+  const context = {
+    token: deployed.token,
+    accounts,
+    ghost: {
+      initialEth: await ethers.provider.getBalance(await deployed.token.getAddress()),
+      feesPaid: 0n,
+      withdrawn: 0n,
+    },
+  };
+
+  const trace = [];
+  for (let step = 0; step < actions.length; step++) {
+    let outcome = "ok";
+    try {
+      await executeAction(context, actions[step]);
+    } catch (error) {
+      outcome = `reverted (${error.shortMessage || error.message})`;
+    }
+    trace.push({ action: actions[step], outcome });
+
+    for (const invariant of invariants) {
+      const violation = await invariant.check(context);
+      if (violation) {
+        return { step, invariant: invariant.name, violation, trace };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Shrink a failing sequence by removing chunks of decreasing size while the
+ * same invariant still fails. The result is 1-minimal: removing any single
+ * remaining step makes the failure disappear.
+ */
+async function shrinkSequence(fixture, actions, failure, invariants = DEFAULT_INVARIANTS) {
+  let current = actions.slice(0, failure.step + 1);
+  let currentFailure = failure;
+
+  for (let size = Math.floor(current.length / 2); size >= 1; size = Math.floor(size / 2)) {
+    let start = 0;
+    while (start < current.length) {
+      const candidate = [...current.slice(0, start), ...current.slice(start + size)];
+      const result = candidate.length > 0 ? await runSequence(fixture, candidate, invariants) : null;
+
+      if (result && result.invariant === currentFailure.invariant) {
+        current = candidate.slice(0, result.step + 1);
+        currentFailure = result;
+      } else {
+        start += size;
+      }
+    }
+  }
+
+  return { actions: current, failure: currentFailure };
+}
+
+function formatFailure(seed, { actions, failure }) {
+  const steps = failure.trace.map(({ action, outcome }, i) => `  ${i + 1}. ${formatAction(action)} -> ${outcome}`);
+  return [
+    `Invariant violated: ${failure.invariant}`,
+    `  ${failure.violation}`,
+    `Minimal reproduction (${actions.length} steps, seed ${seed}):`,
+    ...steps,
+    `Re-run with FUZZ_SEED=${seed} FUZZ_RUNS=1`,
+  ].join("\n");
+}
+
+/**
+ * Fuzz `runs` sequences of `depth` actions. Run i uses seed `seed + i`.
+ * Throws with a shrunk, formatted reproduction on the first violation.
+ */
+async function fuzzInvariants(fixture, { seed, runs = 20, depth = 30, invariants = DEFAULT_INVARIANTS } = {}) {
+  for (let run = 0; run < runs; run++) {
+    const runSeed = seed + run;
+    const actions = generateSequence(runSeed, depth);
+    const failure = await runSequence(fixture, actions, invariants);
+
+    if (failure) {
+      const shrunk = await shrinkSequence(fixture, actions, failure, invariants);
+      throw new Error(formatFailure(runSeed, shrunk));
+    }
+  }
+}
+
+module.exports = {
+  ACTORS,
+  DEFAULT_INVARIANTS,
+  createRandom,
+  generateSequence,
+  formatAction,
+  runSequence,
+  shrinkSequence,
+  fuzzInvariants,
+};
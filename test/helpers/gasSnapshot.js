@@ -0,0 +1,158 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Gas snapshot baselines
+ *
+ * Records per-operation gas during a run and compares it with the committed
+ * baseline in test/gas-snapshot.json.
+ *
+ * Environment:
+ *   UPDATE_GAS_SNAPSHOT=true     rewrite the baseline with the recorded values
+ *   GAS_SNAPSHOT_MODE=warn       report regressions without failing (default: fail)
+ *   GAS_SNAPSHOT_TOLERANCE=2     default tolerance in percent (default: 1)
+ */
+
+const DEFAULT_SNAPSHOT_FILE = path.join(__dirname, "..", "gas-snapshot.json");
+
+function readBaseline(file) {
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeBaseline(file, operations) {
+  const sorted = {};
+  for (const name of Object.keys(operations).sort()) {
+    sorted[name] = operations[name];
+  }
+  fs.writeFileSync(file, `${JSON.stringify(sorted, null, 2)}\n`);
+}
+
+/**
+ * Allowed drift for one operation: the larger of the absolute and percent bounds
+ */
+function allowedDrift(baseline, { percent = 0, absolute = 0 }) {
+  return Math.max(absolute, Math.floor((baseline * percent) / 100));
+}
+
+function compareOperation(name, current, baseline, tolerance) {
+  if (baseline === undefined) {
+    return { name, baseline: null, current, diff: null, status: "new" };
+  }
+
+  const diff = current - baseline;
+  const allowed = allowedDrift(baseline, tolerance);
+  let status = "ok";
+  if (diff > allowed) status = "regression";
+  else if (diff < -allowed) status = "improvement";
+
+  return { name, baseline, current, diff, status };
+}
+
+function formatRow(cells, widths) {
+  return cells.map((cell, i) => String(cell).padEnd(widths[i])).join("  ").trimEnd();
+}
+
+/**
+ * Render comparison rows as a fixed-width diff table
+ */
+function formatGasTable(rows) {
+  const header = ["Operation", "Baseline", "Current", "Diff", "%", "Status"];
+  const body = rows.map(({ name, baseline, current, diff, status }) => [
+    name,
+    baseline === null ? "-" : baseline,
+    current,
+    diff === null ? "-" : (diff > 0 ? `+${diff}` : diff),
+    diff === null || baseline === 0 ? "-" : `${((diff / baseline) * 100).toFixed(2)}%`,
+    status,
+  ]);
+
+  const widths = header.map((_, i) => Math.max(...[header, ...body].map((row) => String(row[i]).length)));
+
+  return [
+    formatRow(header, widths),
+    formatRow(widths.map((width) => "-".repeat(width)), widths),
+    ...body.map((row) => formatRow(row, widths)),
+  ].join("\n");
+}
+
+/**
+ * Create a gas snapshot for one suite
+ *
+ * `tolerance` is the default { percent, absolute } bound, `tolerances` maps
+ * operation names to their own bound.
+ */
+function createGasSnapshot({
+  file = DEFAULT_SNAPSHOT_FILE,
+  tolerance = { percent: Number(process.env.GAS_SNAPSHOT_TOLERANCE || 1) },
+  tolerances = {},
+  mode = process.env.GAS_SNAPSHOT_MODE || "fail",
+  update = process.env.UPDATE_GAS_SNAPSHOT === "true",
+} = {}) {
+  const recorded = {};
+
+  return {
+    /**
+     * Record gas used by a transaction, a pending transaction or a receipt
+     */
+    async record(name, txOrReceipt) {
+      if (name in recorded) {
+        throw new Error(`Gas for "${name}" was already recorded in this snapshot`);
+      }
+
+      const resolved = await txOrReceipt;
+      const receipt = typeof resolved.wait === "function" ? await resolved.wait() : resolved;
+      recorded[name] = Number(receipt.gasUsed);
+
+      return receipt;
+    },
+
+    /**
+     * Compare recorded gas with the baseline, print the diff table and
+     * fail (or warn) on regressions. In update mode the baseline is rewritten.
+     */
+    check() {
+      const baseline = readBaseline(file);
+      const rows = Object.keys(recorded).sort().map((name) =>
+        compareOperation(name, recorded[name], baseline[name], tolerances[name] || tolerance)
+      );
+      const table = formatGasTable(rows);
+
+      if (update) {
+        writeBaseline(file, { ...baseline, ...recorded });
+        console.log(`${table}\n\nUpdated gas snapshot ${path.relative(process.cwd(), file)}`);
+        return rows;
+      }
+
+      const regressions = rows.filter((row) => row.status === "regression");
+      const unbaselined = rows.filter((row) => row.status === "new");
+
+      if (regressions.length > 0 && mode === "fail") {
+        throw new Error(
+          `Gas regression in ${regressions.map((row) => row.name).join(", ")}\n\n${table}\n\n` +
+          "Run with UPDATE_GAS_SNAPSHOT=true if this is intended"
+        );
+      }
+
+      console.log(table);
+
+      if (regressions.length > 0) {
+        console.warn(`Gas regression in ${regressions.map((row) => row.name).join(", ")}`);
+      }
+
+      if (unbaselined.length > 0) {
+        console.warn(
+          `No gas baseline for ${unbaselined.map((row) => row.name).join(", ")}; ` +
+          "run with UPDATE_GAS_SNAPSHOT=true to record it"
+        );
+      }
+
+      return rows;
+    },
+  };
+}
+
+module.exports = {
+  createGasSnapshot,
+  formatGasTable,
+};
@@ -0,0 +1,73 @@
+// Generated by scripts/generate-constants.js from the MyToken artifact.
+// Do not edit by hand; re-run `npx hardhat run scripts/generate-constants.js`.
+
+module.exports = {
+  ERRORS: {
+    ACCOUNT_BLACKLISTED: "AccountBlacklisted",
+    ERC20_INSUFFICIENT_ALLOWANCE: "ERC20InsufficientAllowance",
+    ERC20_INSUFFICIENT_BALANCE: "ERC20InsufficientBalance",
+    ERC20_INVALID_APPROVER: "ERC20InvalidApprover",
+    ERC20_INVALID_RECEIVER: "ERC20InvalidReceiver",
+    ERC20_INVALID_SENDER: "ERC20InvalidSender",
+    ERC20_INVALID_SPENDER: "ERC20InvalidSpender",
+    ENFORCED_PAUSE: "EnforcedPause",
+    EXPECTED_PAUSE: "ExpectedPause",
+    INSUFFICIENT_BALANCE: "InsufficientBalance",
+    INSUFFICIENT_FEE: "InsufficientFee",
+    INVALID_ADDRESS: "InvalidAddress",
+    INVALID_AMOUNT: "InvalidAmount",
+    MAX_SUPPLY_EXCEEDED: "MaxSupplyExceeded",
+    MINT_COOLDOWN_ACTIVE: "MintCooldownActive",
+    OWNABLE_INVALID_OWNER: "OwnableInvalidOwner",
+    OWNABLE_UNAUTHORIZED_ACCOUNT: "OwnableUnauthorizedAccount",
+    REENTRANCY_GUARD_REENTRANT_CALL: "ReentrancyGuardReentrantCall",
+  },
+  EVENTS: {
+    APPROVAL: "Approval",
+    BLACKLIST_UPDATED: "BlacklistUpdated",
+    EMERGENCY_WITHDRAW: "EmergencyWithdraw",
+    MINTING_FEE_UPDATED: "MintingFeeUpdated",
+    OWNERSHIP_TRANSFERRED: "OwnershipTransferred",
+    PAUSED: "Paused",
+    TOKENS_BURNED: "TokensBurned",
+    TOKENS_MINTED: "TokensMinted",
+    TRANSFER: "Transfer",
+    UNPAUSED: "Unpaused",
+  },
+  CONSTANTS: {
+    MAX_SUPPLY: 1000000000000000000000000000n,
+    MINT_COOLDOWN: 86400n,
+  },
+  ERROR_SIGNATURES: {
+    AccountBlacklisted: "error AccountBlacklisted(address account)",
+    ERC20InsufficientAllowance: "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+    ERC20InsufficientBalance: "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+    ERC20InvalidApprover: "error ERC20InvalidApprover(address approver)",
+    ERC20InvalidReceiver: "error ERC20InvalidReceiver(address receiver)",
+    ERC20InvalidSender: "error ERC20InvalidSender(address sender)",
+    ERC20InvalidSpender: "error ERC20InvalidSpender(address spender)",
+    EnforcedPause: "error EnforcedPause()",
+    ExpectedPause: "error ExpectedPause()",
+    InsufficientBalance: "error InsufficientBalance(uint256 requested, uint256 available)",
+    InsufficientFee: "error InsufficientFee(uint256 required, uint256 provided)",
+    InvalidAddress: "error InvalidAddress()",
+    InvalidAmount: "error InvalidAmount()",
+    MaxSupplyExceeded: "error MaxSupplyExceeded(uint256 requested, uint256 remaining)",
+    MintCooldownActive: "error MintCooldownActive(uint256 timeRemaining)",
+    OwnableInvalidOwner: "error OwnableInvalidOwner(address owner)",
+    OwnableUnauthorizedAccount: "error OwnableUnauthorizedAccount(address account)",
+    ReentrancyGuardReentrantCall: "error ReentrancyGuardReentrantCall()",
+  },
+  EVENT_SIGNATURES: {
+    Approval: "event Approval(address indexed owner, address indexed spender, uint256 value)",
+    BlacklistUpdated: "event BlacklistUpdated(address indexed account, bool status)",
+    EmergencyWithdraw: "event EmergencyWithdraw(address indexed to, uint256 amount)",
+    MintingFeeUpdated: "event MintingFeeUpdated(uint256 oldFee, uint256 newFee)",
+    OwnershipTransferred: "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+    Paused: "event Paused(address account)",
+    TokensBurned: "event TokensBurned(address indexed from, uint256 amount)",
+    TokensMinted: "event TokensMinted(address indexed to, uint256 amount, uint256 fee)",
+    Transfer: "event Transfer(address indexed from, address indexed to, uint256 value)",
+    Unpaused: "event Unpaused(address account)",
+  },
+};
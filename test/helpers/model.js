@@ -0,0 +1,257 @@
+/**
+ * Executable reference model of MyToken
+ *
+ * A pure-JS mirror of MyToken's rules (and the OpenZeppelin ERC20, Ownable
+ * and Pausable code it inherits). `apply` predicts the outcome of one call:
+ * the revert it hits, in the same check order as the contract, or the
+ * events it emits, the ETH it moves and the resulting state.
+ *
+ * Addresses are compared as given, so callers should pass checksummed ones.
+ */
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const MAX_UINT256 = 2n ** 256n - 1n;
+
+function revert(name, ...args) {
+  const error = new Error(`${name}(${args.join(", ")})`);
+  error.revert = { name, args };
+  throw error;
+}
+
+function balanceOf(s, account) {
+  return s.balances[account] || 0n;
+}
+
+function allowance(s, owner, spender) {
+  return (s.allowances[owner] && s.allowances[owner][spender]) || 0n;
+}
+
+function onlyOwner(s, sender) {
+  if (sender !== s.owner) revert("OwnableUnauthorizedAccount", sender);
+}
+
+function whenNotPaused(s) {
+  if (s.paused) revert("EnforcedPause");
+}
+
+function addEth(flows, account, amount) {
+  flows[account] = (flows[account] || 0n) + amount;
+}
+
+// MyToken._update, including the ERC20 balance bookkeeping it defers to
+function update(s, events, from, to, value) {
+  whenNotPaused(s);
+  if (from !== ZERO_ADDRESS && s.blacklisted[from]) revert("AccountBlacklisted", from);
+  if (to !== ZERO_ADDRESS && s.blacklisted[to]) revert("AccountBlacklisted", to);
+
+  if (from === ZERO_ADDRESS) {
+    s.totalSupply += value;
+  } else {
+    const fromBalance = balanceOf(s, from);
+    if (fromBalance < value) revert("ERC20InsufficientBalance", from, fromBalance, value);
+    s.balances[from] = fromBalance - value;
+  }
+
+  if (to === ZERO_ADDRESS) {
+    s.totalSupply -= value;
+  } else {
+    s.balances[to] = balanceOf(s, to) + value;
+  }
+
+  events.push({ name: "Transfer", args: [from, to, value] });
+}
+
+function transfer(s, events, from, to, value) {
+  if (from === ZERO_ADDRESS) revert("ERC20InvalidSender", ZERO_ADDRESS);
+  if (to === ZERO_ADDRESS) revert("ERC20InvalidReceiver", ZERO_ADDRESS);
+  update(s, events, from, to, value);
+}
+
+function approve(s, events, owner, spender, value, emitEvent) {
+  if (owner === ZERO_ADDRESS) revert("ERC20InvalidApprover", ZERO_ADDRESS);
+  if (spender === ZERO_ADDRESS) revert("ERC20InvalidSpender", ZERO_ADDRESS);
+  s.allowances[owner] = { ...s.allowances[owner], [spender]: value };
+  if (emitEvent) events.push({ name: "Approval", args: [owner, spender, value] });
+}
+
+function mintTo(s, events, to, value) {
+  if (to === ZERO_ADDRESS) revert("ERC20InvalidReceiver", ZERO_ADDRESS);
+  update(s, events, ZERO_ADDRESS, to, value);
+}
+
+function checkSupply(s, amount) {
+  const remaining = s.maxSupply - s.totalSupply;
+  if (amount > remaining) revert("MaxSupplyExceeded", amount, remaining);
+}
+
+function transferOwnership(s, events, newOwner) {
+  const previousOwner = s.owner;
+  s.owner = newOwner;
+  events.push({ name: "OwnershipTransferred", args: [previousOwner, newOwner] });
+}
+
+const METHODS = {
+  transfer(s, { sender, events }, [to, value]) {
+    transfer(s, events, sender, to, value);
+  },
+
+  approve(s, { sender, events }, [spender, value]) {
+    approve(s, events, sender, spender, value, true);
+  },
+
+  transferFrom(s, { sender, events }, [from, to, value]) {
+    const current = allowance(s, from, sender);
+    if (current !== MAX_UINT256) {
+      if (current < value) revert("ERC20InsufficientAllowance", sender, current, value);
+      approve(s, events, from, sender, current - value, false);
+    }
+    transfer(s, events, from, to, value);
+  },
+
+  mint(s, { sender, events }, [to, amount]) {
+    onlyOwner(s, sender);
+    if (to === ZERO_ADDRESS) revert("InvalidAddress");
+    if (amount === 0n) revert("InvalidAmount");
+    checkSupply(s, amount);
+
+    mintTo(s, events, to, amount);
+    events.push({ name: "TokensMinted", args: [to, amount, 0n] });
+  },
+
+  mintWithFee(s, { sender, events, value, timestamp, ethFlows }, [to, amount]) {
+    whenNotPaused(s);
+    if (to === ZERO_ADDRESS) revert("InvalidAddress");
+    if (amount === 0n) revert("InvalidAmount");
+    if (s.blacklisted[to]) revert("AccountBlacklisted", to);
+    if (value < s.mintingFee) revert("InsufficientFee", s.mintingFee, value);
+    checkSupply(s, amount);
+
+    const lastMint = s.lastMintTime[sender] || 0n;
+    const elapsed = timestamp - lastMint;
+    if (lastMint > 0n && elapsed < s.mintCooldown) {
+      revert("MintCooldownActive", s.mintCooldown - elapsed);
+    }
+
+    s.lastMintTime[sender] = timestamp;
+    mintTo(s, events, to, amount);
+    events.push({ name: "TokensMinted", args: [to, amount, value] });
+
+    s.ethBalance += value;
+    addEth(ethFlows, sender, -value);
+    addEth(ethFlows, s.address, value);
+  },
+
+  burn(s, { sender, events }, [amount]) {
+    if (amount === 0n) revert("InvalidAmount");
+    const balance = balanceOf(s, sender);
+    if (balance < amount) revert("InsufficientBalance", amount, balance);
+
+    update(s, events, sender, ZERO_ADDRESS, amount);
+    events.push({ name: "TokensBurned", args: [sender, amount] });
+  },
+
+  setBlacklist(s, { sender, events }, [account, status]) {
+    onlyOwner(s, sender);
+    if (account === ZERO_ADDRESS) revert("InvalidAddress");
+    s.blacklisted[account] = status;
+    events.push({ name: "BlacklistUpdated", args: [account, status] });
+  },
+
+  setMintingFee(s, { sender, events }, [newFee]) {
+    onlyOwner(s, sender);
+    const oldFee = s.mintingFee;
+    s.mintingFee = newFee;
+    events.push({ name: "MintingFeeUpdated", args: [oldFee, newFee] });
+  },
+
+  pause(s, { sender, events }) {
+    onlyOwner(s, sender);
+    whenNotPaused(s);
+    s.paused = true;
+    events.push({ name: "Paused", args: [sender] });
+  },
+
+  unpause(s, { sender, events }) {
+    onlyOwner(s, sender);
+    if (!s.paused) revert("ExpectedPause");
+    s.paused = false;
+    events.push({ name: "Unpaused", args: [sender] });
+  },
+
+  // Assumes the owner accepts ETH, which holds for EOAs
+  emergencyWithdraw(s, { sender, events, ethFlows }) {
+    onlyOwner(s, sender);
+    const balance = s.ethBalance;
+    if (balance === 0n) revert("InvalidAmount");
+
+    s.ethBalance = 0n;
+    addEth(ethFlows, s.address, -balance);
+    addEth(ethFlows, s.owner, balance);
+    events.push({ name: "EmergencyWithdraw", args: [s.owner, balance] });
+  },
+
+  transferOwnership(s, { sender, events }, [newOwner]) {
+    onlyOwner(s, sender);
+    if (newOwner === ZERO_ADDRESS) revert("OwnableInvalidOwner", ZERO_ADDRESS);
+    transferOwnership(s, events, newOwner);
+  },
+
+  renounceOwnership(s, { sender, events }) {
+    onlyOwner(s, sender);
+    transferOwnership(s, events, ZERO_ADDRESS);
+  },
+
+  // Plain ETH transfer into receive()
+  receive(s, { sender, value, ethFlows }) {
+    s.ethBalance += value;
+    addEth(ethFlows, sender, -value);
+    addEth(ethFlows, s.address, value);
+  },
+};
+
+/**
+ * Create a model from an initial state:
+ *   { address, owner, paused, mintingFee, totalSupply, maxSupply, mintCooldown,
+ *     ethBalance, balances, allowances, blacklisted, lastMintTime }
+ */
+function createTokenModel(initialState) {
+  let state = structuredClone(initialState);
+
+  return {
+    get state() {
+      return state;
+    },
+
+    balanceOf: (account) => balanceOf(state, account),
+    allowance: (owner, spender) => allowance(state, owner, spender),
+
+    /**
+     * Predict and apply one call: { sender, method, args, value, timestamp }.
+     * Returns { revert, events, ethFlows }; state only changes on success.
+     */
+    apply({ sender, method, args = [], value = 0n, timestamp }) {
+      const handler = METHODS[method];
+      if (!handler) {
+        throw new Error(`The model doesn't implement MyToken.${method}`);
+      }
+
+      const draft = structuredClone(state);
+      const context = { sender, value, timestamp, events: [], ethFlows: {} };
+
+      try {
+        handler(draft, context, args);
+      } catch (error) {
+        if (!error.revert) throw error;
+        return { revert: error.revert, events: [], ethFlows: {} };
+      }
+
+      state = draft;
+      return { revert: null, events: context.events, ethFlows: context.ethFlows };
+    },
+  };
+}
+
+module.exports = {
+  MODEL_METHODS: Object.keys(METHODS),
+  createTokenModel,
+};
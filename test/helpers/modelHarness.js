@@ -0,0 +1,241 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { createTokenModel } = require("./model");
+
+/**
+ * Differential testing harness for MyToken
+ *
+ * Every call made through `send` is predicted by the reference model in
+ * model.js, executed on chain and then compared: revert reason and
+ * arguments, emitted events, ETH moved (gas excluded) and the full tracked
+ * state. Any disagreement fails the test with a list of differences.
+ *
+ * Usage:
+ *   const harness = await createModelHarness(token, [owner, addr1, addr2]);
+ *   await harness.send(addr1, "transfer", [addr2.address, amount]);
+ *   await harness.send(addr1, "mintWithFee", [addr1.address, amount], { value: fee });
+ *   await harness.send(addr1, "receive", [], { value: ONE_ETHER });
+ *
+ * Each call is pinned to the block right after the latest one so the model
+ * knows its exact timestamp; time.increase may be used freely between calls.
+ */
+
+function toModelValue(value) {
+  if (typeof value === "number") return BigInt(value);
+  if (typeof value === "string" && ethers.isAddress(value)) return ethers.getAddress(value);
+  return value;
+}
+
+function format(value) {
+  if (Array.isArray(value)) return `[${value.map(format).join(", ")}]`;
+  return String(value);
+}
+
+function formatCall(method, args) {
+  return `${method}(${args.map(format).join(", ")})`;
+}
+
+function formatEvents(events) {
+  return events.length === 0
+    ? "none"
+    : events.map(({ name, args }) => `${name}(${args.map(format).join(", ")})`).join(", ");
+}
+
+function decodeRevert(token, error) {
+  const data = error.data;
+  if (!data || data === "0x") {
+    return { name: "<no revert data>", args: [error.shortMessage || error.message] };
+  }
+  const parsed = token.interface.parseError(data);
+  return parsed
+    ? { name: parsed.name, args: [...parsed.args] }
+    : { name: "<unknown error>", args: [data] };
+}
+
+/**
+ * Gas paid by `sender` in blocks mined after `blockNumber`. Reverted
+ * transactions are still mined under automine and still cost gas.
+ */
+async function gasSpentSince(blockNumber, sender) {
+  let spent = 0n;
+  const latest = await ethers.provider.getBlockNumber();
+
+  for (let number = blockNumber + 1; number <= latest; number++) {
+    const block = await ethers.provider.getBlock(number);
+    for (const hash of block.transactions) {
+      const receipt = await ethers.provider.getTransactionReceipt(hash);
+      if (receipt.from === sender) {
+        spent += receipt.gasUsed * receipt.gasPrice;
+      }
+    }
+  }
+  return spent;
+}
+
+async function createModelHarness(token, signers = []) {
+  const address = await token.getAddress();
+  const tracked = [];
+
+  const model = createTokenModel({
+    address,
+    owner: await token.owner(),
+    paused: await token.paused(),
+    mintingFee: await token.mintingFee(),
+    totalSupply: await token.totalSupply(),
+    maxSupply: await token.MAX_SUPPLY(),
+    mintCooldown: await token.MINT_COOLDOWN(),
+    ethBalance: await ethers.provider.getBalance(address),
+    balances: {},
+    allowances: {},
+    blacklisted: {},
+    lastMintTime: {},
+  });
+
+  /**
+   * Start tracking accounts, seeding the model with their on-chain state
+   */
+  async function track(...accounts) {
+    const { state } = model;
+
+    for (const account of accounts.map((account) => ethers.getAddress(account))) {
+      if (account === ethers.ZeroAddress || tracked.includes(account)) continue;
+
+      state.balances[account] = await token.balanceOf(account);
+      state.blacklisted[account] = await token.blacklisted(account);
+      state.lastMintTime[account] = await token.lastMintTime(account);
+
+      for (const other of [...tracked, account]) {
+        state.allowances[account] = { ...state.allowances[account], [other]: await token.allowance(account, other) };
+        state.allowances[other] = { ...state.allowances[other], [account]: await token.allowance(other, account) };
+      }
+      tracked.push(account);
+    }
+  }
+
+  async function readEthBalances() {
+    const balances = {};
+    for (const account of [...tracked, address]) {
+      balances[account] = await ethers.provider.getBalance(account);
+    }
+    return balances;
+  }
+
+  /**
+   * List every difference between the model's state and the chain
+   */
+  async function diffState() {
+    const { state } = model;
+    const differences = [];
+    const compare = (label, predicted, actual) => {
+      if (predicted !== actual) differences.push(`${label}: model ${predicted}, chain ${actual}`);
+    };
+
+    compare("owner", state.owner, await token.owner());
+    compare("paused", state.paused, await token.paused());
+    compare("mintingFee", state.mintingFee, await token.mintingFee());
+    compare("totalSupply", state.totalSupply, await token.totalSupply());
+    compare("token ETH", state.ethBalance, await ethers.provider.getBalance(address));
+
+    for (const account of tracked) {
+      compare(`balanceOf(${account})`, model.balanceOf(account), await token.balanceOf(account));
+      compare(`blacklisted(${account})`, state.blacklisted[account] || false, await token.blacklisted(account));
+      compare(`lastMintTime(${account})`, state.lastMintTime[account] || 0n, await token.lastMintTime(account));
+      for (const spender of tracked) {
+        compare(
+          `allowance(${account}, ${spender})`,
+          model.allowance(account, spender),
+          await token.allowance(account, spender)
+        );
+      }
+    }
+    return differences;
+  }
+
+  await track(...signers.map((signer) => signer.address));
+
+  return {
+    model,
+    track,
+
+    /**
+     * Send one call through the model and the chain and compare the outcomes
+     */
+    async send(signer, method, args = [], { value = 0n } = {}) {
+      const sender = signer.address;
+      const modelArgs = args.map(toModelValue);
+      await track(sender, ...modelArgs.filter((arg) => typeof arg === "string" && ethers.isAddress(arg)));
+
+      const timestamp = (await time.latest()) + 1;
+      await time.setNextBlockTimestamp(timestamp);
+
+      const ethBefore = await readEthBalances();
+      const blockBefore = await ethers.provider.getBlockNumber();
+
+      const predicted = model.apply({
+        sender,
+        method,
+        args: modelArgs,
+        value: BigInt(value),
+        timestamp: BigInt(timestamp),
+      });
+
+      let receipt = null;
+      let actualRevert = null;
+      try {
+        const overrides = BigInt(value) > 0n ? [{ value }] : [];
+        const tx = method === "receive"
+          ? await signer.sendTransaction({ to: address, value })
+          : await token.connect(signer)[method](...args, ...overrides);
+        receipt = await tx.wait();
+      } catch (error) {
+        actualRevert = decodeRevert(token, error);
+      }
+
+      const actualEvents = receipt
+        ? receipt.logs
+          .filter((log) => log.address === address)
+          .map((log) => token.interface.parseLog(log))
+          .map((event) => ({ name: event.name, args: [...event.args] }))
+        : [];
+
+      const differences = [];
+      const call = formatCall(method, modelArgs);
+
+      if (predicted.revert || actualRevert) {
+        const expectedRevert = predicted.revert ? formatEvents([predicted.revert]) : "success";
+        const gotRevert = actualRevert ? formatEvents([actualRevert]) : "success";
+        if (expectedRevert !== gotRevert) {
+          differences.push(`outcome: model ${expectedRevert}, chain ${gotRevert}`);
+        }
+      }
+
+      if (formatEvents(predicted.events) !== formatEvents(actualEvents)) {
+        differences.push(`events: model ${formatEvents(predicted.events)}, chain ${formatEvents(actualEvents)}`);
+      }
+
+      // ETH moved per account, with the sender's gas added back
+      const ethAfter = await readEthBalances();
+      const gas = receipt ? receipt.gasUsed * receipt.gasPrice : await gasSpentSince(blockBefore, sender);
+      for (const account of Object.keys(ethAfter)) {
+        const moved = ethAfter[account] - ethBefore[account] + (account === sender ? gas : 0n);
+        const expected = predicted.ethFlows[account] || 0n;
+        if (moved !== expected) {
+          differences.push(`ETH flow for ${account}: model ${expected}, chain ${moved}`);
+        }
+      }
+
+      differences.push(...(await diffState()));
+
+      if (differences.length > 0) {
+        expect.fail(`Model and chain disagree after ${sender} ${call}:\n  ${differences.join("\n  ")}`);
+      }
+
+      return { revert: actualRevert, events: actualEvents, receipt };
+    },
+  };
+}
+
+module.exports = {
+  createModelHarness,
+};
@@ -0,0 +1,123 @@
+const { ethers, network } = require("hardhat");
+
+/**
+ * Named persona signers
+ *
+ * Usage:
+ *   const { owner, treasury, attacker, blacklistedUser } = await personas();
+ *   const spender = await persona("spender");
+ *   personaOf(attacker.address); // "attacker"
+ *
+ * Each persona is pinned to a fixed signer index, so the same name is the
+ * same account in every fixture and test file. The built-in personas line
+ * up with the addrN the existing fixtures use for those roles (addr2 is the
+ * blacklisted account, addr3 the spender). Register more with
+ * definePersona(); they take the next free index, up to the number of
+ * accounts the network has.
+ *
+ * personaOf() derives the signer addresses from the network's accounts
+ * config, so it works before personas() has run. With remote accounts it
+ * only knows the personas a personas() call has seen.
+ */
+
+const PERSONA_INDEXES = {
+  owner: 0,
+  minter: 1,
+  blacklistedUser: 2,
+  spender: 3,
+  attacker: 4,
+  treasury: 5,
+  recipient: 6,
+};
+
+// Filled by personas(); the reverse lookup for remote accounts
+const addressToPersona = new Map();
+
+// Signer addresses derived from the accounts config, in signer order, and
+// how many were asked for when they were derived
+let configuredAddresses = [];
+let derivedFor = 0;
+
+function personaNames() {
+  return Object.keys(PERSONA_INDEXES);
+}
+
+/**
+ * Register an extra persona on the next free signer index
+ */
+function definePersona(name) {
+  if (Object.hasOwn(PERSONA_INDEXES, name)) {
+    throw new Error(`Persona "${name}" is already defined`);
+  }
+  PERSONA_INDEXES[name] = Math.max(...Object.values(PERSONA_INDEXES)) + 1;
+  return PERSONA_INDEXES[name];
+}
+
+/**
+ * Every persona as { name: signer }
+ */
+async function personas() {
+  const signers = await ethers.getSigners();
+  const result = {};
+
+  for (const [name, index] of Object.entries(PERSONA_INDEXES)) {
+    if (index >= signers.length) {
+      throw new Error(`Persona "${name}" needs signer #${index} but the network only has ${signers.length} accounts`);
+    }
+    result[name] = signers[index];
+    addressToPersona.set(signers[index].address.toLowerCase(), name);
+  }
+  return result;
+}
+
+/**
+ * A single persona's signer
+ */
+async function persona(name) {
+  if (!Object.hasOwn(PERSONA_INDEXES, name)) {
+    throw new Error(`Unknown persona "${name}", expected one of: ${personaNames().join(", ")}`);
+  }
+  return (await personas())[name];
+}
+
+/**
+ * The first `count` signer addresses, without asking the provider
+ */
+function signerAddresses(count) {
+  const accounts = network.config.accounts;
+  if (derivedFor >= count) return configuredAddresses;
+  derivedFor = count;
+
+  if (Array.isArray(accounts)) {
+    configuredAddresses = accounts.map((account) =>
+      new ethers.Wallet(typeof account === "string" ? account : account.privateKey).address
+    );
+  } else if (accounts && accounts.mnemonic) {
+    const root = ethers.HDNodeWallet.fromPhrase(accounts.mnemonic, accounts.passphrase, accounts.path);
+    const available = Math.min(count, accounts.count);
+    configuredAddresses = Array.from({ length: available }, (_, i) => root.deriveChild(accounts.initialIndex + i).address);
+  }
+  return configuredAddresses;
+}
+
+/**
+ * Reverse lookup from address to persona name, undefined if the address
+ * isn't a persona
+ */
+function personaOf(address) {
+  const key = String(address).toLowerCase();
+  const addresses = signerAddresses(Math.max(...Object.values(PERSONA_INDEXES)) + 1);
+
+  for (const [name, index] of Object.entries(PERSONA_INDEXES)) {
+    if (addresses[index] && addresses[index].toLowerCase() === key) return name;
+  }
+  return addressToPersona.get(key);
+}
+
+module.exports = {
+  definePersona,
+  persona,
+  personaNames,
+  personaOf,
+  personas,
+};
@@ -0,0 +1,271 @@
+const { ethers, network } = require("hardhat");
+const { personaOf } = require("./personas");
+
+/**
+ * Human-readable assertion failures
+ *
+ * Usage:
+ *   await registerToken(token);             // done by the shared fixtures
+ *   labelAddress(vault, "vault");
+ *   labelOf(addr1.address);                        // "addr1"
+ *   formatAmount(ethers.parseEther("1.5"), token); // "1.5 MTK"
+ *
+ * When a test fails, a root hook rewrites the error: known addresses become
+ * labels (owner, addr1..addr5, personas, registered contracts) and known
+ * token amounts become units of their token, using its decimals(). An amount
+ * is known when a registered token's balanceOf, totalSupply or allowance
+ * returned it during the test, or when a changeTokenBalance message names
+ * the token; other integers, such as ETH balances, stay raw. Failed bigint
+ * comparisons also get the delta between expected and actual.
+ *
+ * Labels and units belong to the block they were registered at. Once a
+ * snapshot revert replaces that block, e.g. a loadFixture of an earlier
+ * fixture, an earlier registration still on the chain applies instead, so a
+ * contract redeployed at the same address is not named after the old one.
+ * Set READABLE_ASSERTIONS=false to see the raw messages.
+ */
+
+const ADDR_NAMES = ["owner", "addr1", "addr2", "addr3", "addr4", "addr5"];
+
+// Integers of 13+ digits are amounts rather than counts, gas or timestamps
+const AMOUNT_PATTERN = /(?<![0-9a-fA-Fx]|\d\.)(\d{13,})n?(?![0-9a-fA-F]|\.\d)( wei)?/g;
+const MIN_AMOUNT = 10n ** 12n;
+
+// hardhat-chai-matchers' changeTokenBalance(s) messages name the token by symbol
+const TOKEN_BALANCE_MESSAGE = /balances? of (\S+) tokens/;
+
+const AMOUNT_GETTERS = new Set(
+  ["balanceOf(address)", "totalSupply()", "allowance(address,address)"].map((signature) => ethers.id(signature).slice(0, 10))
+);
+
+// Labels and units of the registered tokens in effect, by lowercase address
+const labels = new Map();
+const tokens = new Map();
+// Every registration behind them: lowercase address -> [{ value, block: { number, hash } }]
+const labelHistory = new Map();
+const tokenHistory = new Map();
+// Amounts the registered tokens returned in the current test: value -> token address
+const readAmounts = new Map();
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+async function register(history, current, address, value) {
+  const { number, hash } = await ethers.provider.getBlock("latest");
+  const key = address.toLowerCase();
+  if (!history.has(key)) history.set(key, []);
+  history.get(key).push({ value, block: { number, hash } });
+  current.set(key, value);
+}
+
+/**
+ * Label an address (or anything with getAddress()) in failure messages
+ */
+async function labelAddress(target, label) {
+  const address = typeof target === "string" ? target : await target.getAddress();
+  await register(labelHistory, labels, address, label);
+}
+
+/**
+ * Label a token contract and format its known amounts in its units
+ */
+async function registerToken(token, label = "token") {
+  const address = await token.getAddress();
+  await labelAddress(address, label);
+  await register(tokenHistory, tokens, address, { decimals: await token.decimals(), symbol: await token.symbol() });
+}
+
+/**
+ * Apply, per address, the latest label and units registered on a block the
+ * chain still has
+ */
+async function refreshLabels() {
+  const hashes = new Map();
+  const onChain = async ({ number, hash }) => {
+    if (!hashes.has(number)) {
+      const block = await ethers.provider.getBlock(number);
+      hashes.set(number, block && block.hash);
+    }
+    return hashes.get(number) === hash;
+  };
+
+  for (const [history, current] of [[labelHistory, labels], [tokenHistory, tokens]]) {
+    current.clear();
+    for (const [key, entries] of history) {
+      for (let i = entries.length - 1; i >= 0; i--) {
+        if (await onChain(entries[i].block)) {
+          current.set(key, entries[i].value);
+          break;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Remember amounts that registered tokens return from eth_call
+ */
+function recordRead(method, params, result) {
+  if (method !== "eth_call" || typeof result !== "string" || !/^0x[0-9a-fA-F]{64}$/.test(result)) return;
+
+  const [call] = params || [];
+  const address = call && call.to && call.to.toLowerCase();
+  // Tokens registered on reverted blocks too; they may be back after a loadFixture
+  if (!tokenHistory.has(address) || !AMOUNT_GETTERS.has(String(call.data || call.input).slice(0, 10))) return;
+  readAmounts.set(BigInt(result).toString(), address);
+}
+
+function tokenAt(target) {
+  const address = typeof target === "string" ? target : target && target.target;
+  return tokens.get(String(address).toLowerCase()) || null;
+}
+
+function tokenFor(value) {
+  const address = readAmounts.get(BigInt(value).toString()) || readAmounts.get((-BigInt(value)).toString());
+  return address ? tokens.get(address) : null;
+}
+
+function tokenBySymbol(symbol) {
+  const matches = [...tokens.values()].filter((units) => units.symbol === symbol);
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Label every signer: owner/addrN for the first six, then persona names
+ */
+async function labelSigners() {
+  const signers = await ethers.getSigners();
+  signers.forEach((signer, i) => {
+    const key = signer.address.toLowerCase();
+    if (labels.has(key)) return;
+    const persona = personaOf(signer.address);
+    const label = ADDR_NAMES[i] || persona;
+    if (label) labels.set(key, persona && persona !== label ? `${label}/${persona}` : label);
+  });
+}
+
+function labelOf(address) {
+  return labels.get(String(address).toLowerCase()) || personaOf(address) || address;
+}
+
+function withUnits(value, units) {
+  const amount = BigInt(value);
+  if (!units) return amount.toString();
+  return `${ethers.formatUnits(amount, units.decimals)} ${units.symbol}`;
+}
+
+/**
+ * Format an amount in a registered token's units; raw for unknown tokens
+ */
+function formatAmount(value, token) {
+  return withUnits(value, tokenAt(token));
+}
+
+/**
+ * Format a failed comparison's values, in token units when one is a known token amount
+ */
+function formatComparison(expected, actual) {
+  const values = [BigInt(expected), BigInt(actual)];
+  const large = values.some((value) => value >= MIN_AMOUNT || value <= -MIN_AMOUNT);
+  const units = large ? tokenFor(values[1]) || tokenFor(values[0]) : null;
+  const format = (value) => withUnits(value, units);
+  const delta = values[1] - values[0];
+
+  return {
+    expected: format(values[0]),
+    actual: format(values[1]),
+    delta: `${delta > 0n ? "+" : ""}${format(delta)}`,
+  };
+}
+
+/**
+ * Replace addresses with labels and known token amounts with token units
+ */
+function formatMessage(message) {
+  const balanceMessage = message.match(TOKEN_BALANCE_MESSAGE);
+  const messageToken = balanceMessage && tokenBySymbol(balanceMessage[1]);
+
+  return message
+    .replace(/0x[0-9a-fA-F]{40}(?![0-9a-fA-F])/g, (address) => {
+      const label = labelOf(address);
+      return label === address ? address : `${label} (${shortAddress(address)})`;
+    })
+    .replace(AMOUNT_PATTERN, (match, digits) => {
+      const units = messageToken || tokenFor(digits);
+      return units ? withUnits(digits, units) : match;
+    });
+}
+
+function isAmount(value) {
+  return typeof value === "bigint" || (typeof value === "string" && /^-?\d+$/.test(value));
+}
+
+/**
+ * Rewrite a failed assertion in place
+ */
+function formatFailure(error) {
+  if (!error || typeof error.message !== "string" || error.readable) return error;
+
+  const original = error.message;
+  let message = formatMessage(original);
+
+  if (isAmount(error.expected) && isAmount(error.actual) && BigInt(error.expected) !== BigInt(error.actual)) {
+    const comparison = formatComparison(error.expected, error.actual);
+    message += `\n      expected: ${comparison.expected}` +
+      `\n      actual:   ${comparison.actual}` +
+      `\n      delta:    ${comparison.delta}`;
+    // mocha's own diff of two bigints adds nothing
+    error.showDiff = false;
+  } else if (typeof error.expected === "string" && typeof error.actual === "string") {
+    error.expected = formatMessage(error.expected);
+    error.actual = formatMessage(error.actual);
+  }
+
+  error.message = message;
+  if (typeof error.stack === "string") error.stack = error.stack.replace(original, () => message);
+  error.readable = true;
+  return error;
+}
+
+// Hardhat loads every file under test/, so this root hook sees the whole run
+if (process.env.READABLE_ASSERTIONS !== "false" && typeof afterEach === "function") {
+  // hardhat-ethers goes through send(), other callers through request()
+  const provider = network.provider;
+  const request = provider.request.bind(provider);
+  const send = provider.send.bind(provider);
+  provider.request = async (args) => {
+    const result = await request(args);
+    recordRead(args.method, args.params, result);
+    return result;
+  };
+  provider.send = async (method, params) => {
+    const result = await send(method, params);
+    recordRead(method, params, result);
+    return result;
+  };
+
+  afterEach(async function () {
+    const test = this.currentTest;
+    try {
+      if (test.state !== "failed" || !test.err) return;
+
+      await refreshLabels();
+      await labelSigners();
+      formatFailure(test.err);
+    } finally {
+      readAmounts.clear();
+    }
+  });
+}
+
+module.exports = {
+  formatAmount,
+  formatComparison,
+  formatFailure,
+  formatMessage,
+  labelAddress,
+  labelOf,
+  refreshLabels,
+  registerToken,
+};
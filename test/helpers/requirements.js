@@ -0,0 +1,23 @@
+/**
+ * Requirements tracked by the traceability report
+ *
+ * Tag a describe or it title with `@REQ-...` to link its tests to a
+ * requirement; nested tests inherit the tags of their describes. Titles
+ * here are the entries of the README's "Test Coverage" checklist.
+ */
+module.exports = {
+  REQUIREMENTS: [
+    { id: "REQ-DEPLOY", title: "Deployment and initialization" },
+    { id: "REQ-TRANSFER", title: "Token transfers and approvals" },
+    { id: "REQ-MINT", title: "Minting (owner and fee-based)" },
+    { id: "REQ-BURN", title: "Burning functionality" },
+    { id: "REQ-ACCESS", title: "Access control and ownership" },
+    { id: "REQ-PAUSE", title: "Pausable mechanism" },
+    { id: "REQ-BLACKLIST", title: "Blacklist functionality" },
+    { id: "REQ-EDGE", title: "Edge cases and error handling" },
+    { id: "REQ-GAS", title: "Gas optimization scenarios" },
+    { id: "REQ-MULTI-USER", title: "Multi-user workflows" },
+    { id: "REQ-COOLDOWN", title: "Time-based functionality (cooldowns)" },
+    { id: "REQ-MAX-SUPPLY", title: "Maximum supply constraints" },
+  ],
+};
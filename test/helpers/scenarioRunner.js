@@ -0,0 +1,286 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployTokenFixture } = require("./fixtures");
+const { SIGNER_NAMES } = require("./fixtureBuilder");
+const { personaNames } = require("./personas");
+const { Errors, expectRevert } = require("./errors");
+const { Events, recordEvents, expectEvents } = require("./events");
+
+/**
+ * Data-driven integration scenarios
+ *
+ * Each .json file in a folder becomes a mocha `describe` with one test per
+ * step, run in order against a fresh deployTokenFixture. Once a step fails,
+ * the remaining steps are skipped.
+ *
+ *   {
+ *     "name": "Fee minting lifecycle",
+ *     "actors": { "alice": "addr1", "bob": "addr2" },
+ *     "steps": [
+ *       { "transfer": { "from": "owner", "to": "alice", "amount": 1000 } },
+ *       {
+ *         "mintWithFee": { "by": "alice", "to": "alice", "amount": 500 },
+ *         "emits": [{ "Transfer": ["zero", "alice", 500] }, { "TokensMinted": ["alice", 500, 0.001] }]
+ *       },
+ *       { "advanceTime": "cooldown" },
+ *       { "pause": {} },
+ *       { "transfer": { "from": "alice", "to": "bob", "amount": 1 }, "reverts": "EnforcedPause" },
+ *       { "check": { "balances": { "alice": 1500 }, "totalSupply": 1000500 } }
+ *     ]
+ *   }
+ *
+ * Amounts are in whole units of 18 decimals (tokens or ETH); actor names,
+ * `owner`, `addr1`..`addr5`, persona names, `token` and `zero` stand for addresses.
+ *
+ * A file that can't be read or parsed fails its own suite.
+ */
+
+const SCENARIO_EXTENSIONS = [".json"];
+
+function parseScenarioFile(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function toUnits(value) {
+  if (typeof value === "bigint") return value;
+  return ethers.parseEther(String(value));
+}
+
+/**
+ * Resolves names used in a scenario to signers, addresses and values
+ */
+function createContext(fixture, tokenAddress, actors = {}) {
+  const signers = {};
+  for (const name of [...SIGNER_NAMES, ...personaNames()]) {
+    signers[name] = fixture[name];
+  }
+  for (const [actor, signerName] of Object.entries(actors)) {
+    if (!signers[signerName]) {
+      throw new Error(`Actor "${actor}" maps to unknown signer "${signerName}"`);
+    }
+    signers[actor] = signers[signerName];
+  }
+
+  const signer = (name) => {
+    if (!signers[name]) {
+      throw new Error(`Unknown actor "${name}"; known: ${Object.keys(signers).join(", ")}`);
+    }
+    return signers[name];
+  };
+
+  const address = (name) => {
+    if (name === "zero") return ethers.ZeroAddress;
+    if (name === "token") return tokenAddress;
+    return signer(name).address;
+  };
+
+  // Event and error arguments: known names become addresses, numbers become units
+  const value = (raw) => {
+    if (typeof raw === "boolean") return raw;
+    if (typeof raw === "string" && (raw === "zero" || raw === "token" || signers[raw])) return address(raw);
+    return toUnits(raw);
+  };
+
+  return { token: fixture.token, signer, address, value };
+}
+
+async function feeFor(ctx, fee) {
+  return fee === undefined ? ctx.token.mintingFee() : toUnits(fee);
+}
+
+/**
+ * Step actions: each returns the transaction it sends, or nothing
+ */
+const ACTIONS = {
+  transfer: (ctx, { from, to, amount }) =>
+    ctx.token.connect(ctx.signer(from)).transfer(ctx.address(to), toUnits(amount)),
+
+  approve: (ctx, { from, spender, amount }) =>
+    ctx.token.connect(ctx.signer(from)).approve(ctx.address(spender), toUnits(amount)),
+
+  transferFrom: (ctx, { by, from, to, amount }) =>
+    ctx.token.connect(ctx.signer(by)).transferFrom(ctx.address(from), ctx.address(to), toUnits(amount)),
+
+  mint: (ctx, { by = "owner", to, amount }) =>
+    ctx.token.connect(ctx.signer(by)).mint(ctx.address(to), toUnits(amount)),
+
+  mintWithFee: async (ctx, { by, to, amount, fee }) =>
+    ctx.token.connect(ctx.signer(by)).mintWithFee(ctx.address(to), toUnits(amount), { value: await feeFor(ctx, fee) }),
+
+  burn: (ctx, { from, amount }) =>
+    ctx.token.connect(ctx.signer(from)).burn(toUnits(amount)),
+
+  blacklist: (ctx, { by = "owner", account, status = true }) =>
+    ctx.token.connect(ctx.signer(by)).setBlacklist(ctx.address(account), status),
+
+  setMintingFee: (ctx, { by = "owner", fee }) =>
+    ctx.token.connect(ctx.signer(by)).setMintingFee(toUnits(fee)),
+
+  pause: (ctx, { by = "owner" } = {}) => ctx.token.connect(ctx.signer(by)).pause(),
+
+  unpause: (ctx, { by = "owner" } = {}) => ctx.token.connect(ctx.signer(by)).unpause(),
+
+  emergencyWithdraw: (ctx, { by = "owner" } = {}) => ctx.token.connect(ctx.signer(by)).emergencyWithdraw(),
+
+  sendEth: (ctx, { from, amount }) =>
+    ctx.signer(from).sendTransaction({ to: ctx.address("token"), value: toUnits(amount) }),
+
+  // Seconds, or "cooldown" for MINT_COOLDOWN
+  advanceTime: async (ctx, seconds) => {
+    const duration = seconds === "cooldown" ? await ctx.token.MINT_COOLDOWN() : seconds;
+    await time.increase(duration);
+  },
+
+  check: async (ctx, expected) => {
+    for (const [name, amount] of Object.entries(expected.balances || {})) {
+      expect(await ctx.token.balanceOf(ctx.address(name)), `balance of ${name}`).to.equal(toUnits(amount));
+    }
+    for (const { owner, spender, amount } of expected.allowances || []) {
+      expect(await ctx.token.allowance(ctx.address(owner), ctx.address(spender)), `allowance ${owner} -> ${spender}`)
+        .to.equal(toUnits(amount));
+    }
+    if (expected.totalSupply !== undefined) {
+      expect(await ctx.token.totalSupply(), "totalSupply").to.equal(toUnits(expected.totalSupply));
+    }
+    if (expected.ethBalance !== undefined) {
+      expect(await ethers.provider.getBalance(ctx.address("token")), "token ETH balance")
+        .to.equal(toUnits(expected.ethBalance));
+    }
+    if (expected.paused !== undefined) {
+      expect(await ctx.token.paused(), "paused").to.equal(expected.paused);
+    }
+    for (const [name, canMint] of Object.entries(expected.canMint || {})) {
+      expect(await ctx.token.canMint(ctx.address(name)), `canMint(${name})`).to.equal(canMint);
+    }
+  },
+};
+
+const STEP_OPTIONS = ["name", "reverts", "emits"];
+
+/**
+ * Split a step into its action and options, rejecting anything unknown
+ */
+function parseStep(step, index) {
+  const keys = Object.keys(step).filter((key) => !STEP_OPTIONS.includes(key));
+  if (keys.length !== 1 || !ACTIONS[keys[0]]) {
+    throw new Error(
+      `Step ${index + 1} needs exactly one action (${Object.keys(ACTIONS).join(", ")}), got: ${keys.join(", ") || "none"}`
+    );
+  }
+
+  const action = keys[0];
+  const reverts = typeof step.reverts === "string" ? { error: step.reverts } : step.reverts;
+  if (reverts && !Errors[reverts.error]) {
+    throw new Error(`Step ${index + 1} expects unknown error "${reverts.error}"`);
+  }
+  if (reverts && step.emits) {
+    throw new Error(`Step ${index + 1} can't both revert and emit events`);
+  }
+  for (const event of step.emits || []) {
+    const [name] = Object.keys(event);
+    if (!Events[name]) {
+      throw new Error(`Step ${index + 1} expects unknown event "${name}"`);
+    }
+  }
+
+  return { action, params: step[action], reverts, emits: step.emits, name: step.name };
+}
+
+function formatParams(params) {
+  if (params === undefined || params === null) return "";
+  if (typeof params !== "object") return String(params);
+  return Object.entries(params)
+    .map(([key, value]) => `${key}=${typeof value === "object" ? JSON.stringify(value) : value}`)
+    .join(" ");
+}
+
+function stepTitle(index, { action, params, reverts, name }) {
+  const label = name || `${action} ${formatParams(params)}`.trim();
+  const outcome = reverts ? ` reverts with ${reverts.error}` : "";
+  return `Step ${index + 1}: ${label}${outcome}`;
+}
+
+async function runStep(ctx, { action, params, reverts, emits }) {
+  const tx = ACTIONS[action](ctx, params || {});
+
+  if (reverts) {
+    const args = reverts.args
+      ? Object.fromEntries(Object.entries(reverts.args).map(([key, raw]) => [key, ctx.value(raw)]))
+      : undefined;
+    return expectRevert(tx, Errors[reverts.error], args);
+  }
+
+  const sent = await tx;
+  if (emits) {
+    const expected = emits.map((event) => {
+      const [name] = Object.keys(event);
+      return Events[name](...(event[name] || []).map(ctx.value));
+    });
+    await expectEvents(recordEvents(ctx.token, [sent]), expected);
+  }
+}
+
+/**
+ * Turn one scenario file into a describe block
+ */
+function describeScenario(file) {
+  let scenario;
+  let steps;
+  try {
+    scenario = parseScenarioFile(file);
+    steps = (scenario.steps || []).map(parseStep);
+  } catch (error) {
+    // Fail this scenario only; throwing here would abort loading the whole run
+    describe(`Scenario: ${path.basename(file)}`, function () {
+      it("Should load the scenario file", function () {
+        throw new Error(`${path.basename(file)}: ${error.message}`);
+      });
+    });
+    return;
+  }
+
+  describe(`Scenario: ${scenario.name || path.basename(file)}`, function () {
+    let ctx;
+    let failed = false;
+
+    before(async function () {
+      const fixture = await loadFixture(deployTokenFixture);
+      ctx = createContext(fixture, await fixture.token.getAddress(), scenario.actors);
+    });
+
+    steps.forEach((step, index) => {
+      it(stepTitle(index, step), async function () {
+        if (failed) this.skip();
+        try {
+          await runStep(ctx, step);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Turn every scenario file in a folder into a describe block
+ */
+function describeScenarios(directory) {
+  const files = fs.readdirSync(directory)
+    .filter((file) => SCENARIO_EXTENSIONS.includes(path.extname(file)))
+    .sort();
+
+  for (const file of files) {
+    describeScenario(path.join(directory, file));
+  }
+}
+
+module.exports = {
+  SCENARIO_ACTIONS: Object.keys(ACTIONS),
+  parseScenarioFile,
+  describeScenario,
+  describeScenarios,
+};
@@ -0,0 +1,180 @@
+const { artifacts, ethers } = require("hardhat");
+const { getStorageAt, setStorageAt } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+/**
+ * Direct storage seeding for MyToken
+ *
+ * Usage:
+ *   const storage = createTokenStorage(token);
+ *   await storage.setBalance(addr1.address, ethers.parseEther("999999000"));
+ *   await storage.seed({
+ *     allowances: [{ owner: addr1.address, spender: addr2.address, amount }],
+ *     blacklisted: [addr3.address],
+ *     lastMintTime: { [addr1.address]: await time.latest() },
+ *     mintingFee: ethers.parseEther("0.05"),
+ *     paused: true,
+ *   });
+ *
+ * Writes go straight to storage with hardhat_setStorageAt, so no events are
+ * emitted and no checks run. setBalance moves _totalSupply by the same delta
+ * unless `{ adjustSupply: false }`, keeping the supply invariant intact.
+ * verifyStorageLayout() checks STORAGE_LAYOUT against the compiler's
+ * storageLayout output.
+ */
+
+const CONTRACT = "contracts/MyToken.sol:MyToken";
+
+// Slots follow the inheritance order ERC20, Ownable, Pausable, ReentrancyGuard
+const STORAGE_LAYOUT = {
+  _balances: { slot: 0, offset: 0, type: "t_mapping(t_address,t_uint256)" },
+  _allowances: { slot: 1, offset: 0, type: "t_mapping(t_address,t_mapping(t_address,t_uint256))" },
+  _totalSupply: { slot: 2, offset: 0, type: "t_uint256" },
+  _owner: { slot: 5, offset: 0, type: "t_address" },
+  _paused: { slot: 5, offset: 20, type: "t_bool" },
+  mintingFee: { slot: 7, offset: 0, type: "t_uint256" },
+  blacklisted: { slot: 8, offset: 0, type: "t_mapping(t_address,t_bool)" },
+  lastMintTime: { slot: 9, offset: 0, type: "t_mapping(t_address,t_uint256)" },
+};
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Slot of `mapping[key]` for a mapping declared at `slot`
+ */
+function mappingSlot(slot, key) {
+  return BigInt(ethers.keccak256(coder.encode(["address", "uint256"], [key, slot])));
+}
+
+function balanceSlot(account) {
+  return mappingSlot(STORAGE_LAYOUT._balances.slot, account);
+}
+
+function allowanceSlot(owner, spender) {
+  return mappingSlot(mappingSlot(STORAGE_LAYOUT._allowances.slot, owner), spender);
+}
+
+/**
+ * Storage accessors bound to a deployed token
+ */
+function createTokenStorage(token) {
+  const address = () => token.getAddress();
+  const read = async (slot) => BigInt(await getStorageAt(await address(), slot));
+  const write = async (slot, value) => setStorageAt(await address(), slot, BigInt(value));
+
+  const storage = {
+    read,
+    write,
+
+    async setTotalSupply(amount) {
+      await write(STORAGE_LAYOUT._totalSupply.slot, amount);
+    },
+
+    async setBalance(account, amount, { adjustSupply = true } = {}) {
+      const slot = balanceSlot(account);
+      if (adjustSupply) {
+        const delta = BigInt(amount) - (await read(slot));
+        await storage.setTotalSupply((await read(STORAGE_LAYOUT._totalSupply.slot)) + delta);
+      }
+      await write(slot, amount);
+    },
+
+    async setAllowance(owner, spender, amount) {
+      await write(allowanceSlot(owner, spender), amount);
+    },
+
+    async setBlacklisted(account, status = true) {
+      await write(mappingSlot(STORAGE_LAYOUT.blacklisted.slot, account), status ? 1n : 0n);
+    },
+
+    async setLastMintTime(account, timestamp) {
+      await write(mappingSlot(STORAGE_LAYOUT.lastMintTime.slot, account), timestamp);
+    },
+
+    async setMintingFee(fee) {
+      await write(STORAGE_LAYOUT.mintingFee.slot, fee);
+    },
+
+    // _paused shares its slot with _owner, so only its byte is replaced
+    async setPaused(paused = true) {
+      const { slot, offset } = STORAGE_LAYOUT._paused;
+      const mask = 0xffn << BigInt(offset * 8);
+      const packed = ((await read(slot)) & ~mask) | ((paused ? 1n : 0n) << BigInt(offset * 8));
+      await write(slot, packed);
+    },
+
+    /**
+     * Apply several writes at once; every key is optional
+     */
+    async seed({ balances = {}, allowances = [], totalSupply, blacklisted = [], lastMintTime = {}, mintingFee, paused } = {}) {
+      for (const [account, amount] of Object.entries(balances)) {
+        await storage.setBalance(account, amount);
+      }
+      for (const { owner, spender, amount } of allowances) {
+        await storage.setAllowance(owner, spender, amount);
+      }
+      if (totalSupply !== undefined) await storage.setTotalSupply(totalSupply);
+      for (const account of blacklisted) {
+        await storage.setBlacklisted(account, true);
+      }
+      for (const [account, timestamp] of Object.entries(lastMintTime)) {
+        await storage.setLastMintTime(account, timestamp);
+      }
+      if (mintingFee !== undefined) await storage.setMintingFee(mintingFee);
+      if (paused !== undefined) await storage.setPaused(paused);
+    },
+  };
+
+  return storage;
+}
+
+/**
+ * The compiler's storageLayout output, null unless the build requested it
+ */
+async function compiledStorageLayout(contract = CONTRACT) {
+  const buildInfo = await artifacts.getBuildInfo(contract);
+  const [sourceName, contractName] = contract.split(":");
+  return (buildInfo && buildInfo.output.contracts[sourceName][contractName].storageLayout) || null;
+}
+
+/**
+ * Compare STORAGE_LAYOUT with the compiled layout
+ */
+async function verifyStorageLayout(contract = CONTRACT) {
+  const compiled = await compiledStorageLayout(contract);
+
+  if (!compiled) {
+    throw new Error(
+      `No storage layout for ${contract}; add "storageLayout" to solidity.settings.outputSelection in hardhat.config.js`
+    );
+  }
+
+  const mismatches = [];
+  for (const [label, expected] of Object.entries(STORAGE_LAYOUT)) {
+    const entry = compiled.storage.find((variable) => variable.label === label);
+    if (!entry) {
+      mismatches.push(`${label}: not in the compiled layout`);
+      continue;
+    }
+    const actual = { slot: Number(entry.slot), offset: entry.offset, type: entry.type };
+    for (const field of ["slot", "offset", "type"]) {
+      if (actual[field] !== expected[field]) {
+        mismatches.push(`${label}: ${field} is ${actual[field]}, expected ${expected[field]}`);
+      }
+    }
+  }
+
+  if (mismatches.length > 0) {
+    throw new Error(`STORAGE_LAYOUT doesn't match ${contract}:\n  ${mismatches.join("\n  ")}`);
+  }
+  return compiled.storage;
+}
+
+module.exports = {
+  STORAGE_LAYOUT,
+  allowanceSlot,
+  balanceSlot,
+  compiledStorageLayout,
+  createTokenStorage,
+  mappingSlot,
+  verifyStorageLayout,
+};
@@ -0,0 +1,279 @@
+const fs = require("fs");
+const path = require("path");
+const chai = require("chai");
+const { artifacts, ethers, network } = require("hardhat");
+
+/**
+ * Machine-readable test reports
+ *
+ * Usage:
+ *   TEST_REPORT=true npx hardhat test
+ *   TEST_REPORT=true TEST_REPORT_DIR=reports npx hardhat test
+ *
+ * Writes junit.xml, report.json and report.md to test-results/ (or
+ * TEST_REPORT_DIR). For every test it records the duration, the
+ * transactions it sent with their gas, and the custom errors and revert
+ * reasons it asserted with revertedWithCustomError/revertedWith.
+ *
+ * Sends are only looked up once the test has finished, so transactions
+ * mined later in the test (with automine off) still report their gas; those
+ * the test never mined are reported as "pending".
+ */
+
+const ROOT = path.join(__dirname, "..", "..");
+const SEND_METHODS = ["eth_sendTransaction", "eth_sendRawTransaction"];
+const TOP_TESTS = 10;
+
+let tokenInterface = null;
+
+// Decode method names for transactions sent to MyToken
+function methodName(data) {
+  if (!data || data === "0x") return "(receive)";
+  try {
+    tokenInterface = tokenInterface || new ethers.Interface(artifacts.readArtifactSync("MyToken").abi);
+    const parsed = tokenInterface.parseTransaction({ data });
+    return parsed ? parsed.name : data.slice(0, 10);
+  } catch (error) {
+    return data.slice(0, 10);
+  }
+}
+
+// The transaction as sent, for sends that never got a hash
+function sentRequest(method, params = []) {
+  if (method === "eth_sendRawTransaction") {
+    try {
+      const tx = ethers.Transaction.from(params[0]);
+      return { from: tx.from, to: tx.to, data: tx.data };
+    } catch (error) {
+      return { from: null, to: null, data: null };
+    }
+  }
+  const [tx = {}] = params;
+  return { from: tx.from || null, to: tx.to || null, data: tx.data || tx.input || null };
+}
+
+/**
+ * Describe one send. Under automine a reverted transaction is still mined
+ * and its error carries the hash; sends rejected before mining have none
+ * and are reported as "not mined"
+ */
+async function describeSent(method, params, result, error) {
+  const hash = typeof result === "string" ? result : error && error.transactionHash;
+
+  if (!hash) {
+    const sent = sentRequest(method, params);
+    return {
+      hash: null,
+      from: sent.from,
+      to: sent.to,
+      method: sent.data === null ? null : methodName(sent.data),
+      gasUsed: null,
+      status: "not mined",
+    };
+  }
+
+  const raw = network.provider;
+  const [tx, receipt] = await Promise.all([
+    raw.request({ method: "eth_getTransactionByHash", params: [hash] }),
+    raw.request({ method: "eth_getTransactionReceipt", params: [hash] }),
+  ]);
+  return {
+    hash,
+    from: tx ? tx.from : null,
+    to: tx ? tx.to : null,
+    method: tx ? methodName(tx.input) : null,
+    gasUsed: receipt ? Number(BigInt(receipt.gasUsed)) : null,
+    status: receipt ? (BigInt(receipt.status) === 1n ? "success" : "reverted") : "pending",
+  };
+}
+
+/**
+ * Describe the sends a test made, after it has mined its blocks
+ */
+async function describeTransactions(sends) {
+  const transactions = [];
+  for (const { method, params, result, error } of sends) {
+    transactions.push(await describeSent(method, params, result, error));
+  }
+  return transactions;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function summarize(tests) {
+  const count = (state) => tests.filter((test) => test.state === state).length;
+  return {
+    tests: tests.length,
+    passed: count("passed"),
+    failed: count("failed"),
+    pending: count("pending"),
+    durationMs: tests.reduce((sum, test) => sum + test.durationMs, 0),
+    transactions: tests.reduce((sum, test) => sum + test.transactions.length, 0),
+    gasUsed: tests.reduce((sum, test) => sum + test.gasUsed, 0),
+  };
+}
+
+function renderJUnit(tests, summary) {
+  const byFile = new Map();
+  for (const test of tests) {
+    if (!byFile.has(test.file)) byFile.set(test.file, []);
+    byFile.get(test.file).push(test);
+  }
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="Hardhat Tests" tests="${summary.tests}" failures="${summary.failed}" skipped="${summary.pending}" time="${summary.durationMs / 1000}">`,
+  ];
+
+  for (const [file, fileTests] of byFile) {
+    const fileSummary = summarize(fileTests);
+    lines.push(
+      `  <testsuite name="${escapeXml(file)}" tests="${fileSummary.tests}" failures="${fileSummary.failed}" skipped="${fileSummary.pending}" time="${fileSummary.durationMs / 1000}">`
+    );
+
+    for (const test of fileTests) {
+      lines.push(
+        `    <testcase classname="${escapeXml(test.suite)}" name="${escapeXml(test.title)}" time="${test.durationMs / 1000}">`,
+        "      <properties>",
+        `        <property name="transactions" value="${test.transactions.length}"/>`,
+        `        <property name="gasUsed" value="${test.gasUsed}"/>`,
+        `        <property name="assertedErrors" value="${escapeXml(test.assertedErrors.join(", "))}"/>`,
+        "      </properties>"
+      );
+      if (test.state === "failed") {
+        lines.push(`      <failure message="${escapeXml(test.error.message)}">${escapeXml(test.error.stack)}</failure>`);
+      } else if (test.state === "pending") {
+        lines.push("      <skipped/>");
+      }
+      lines.push("    </testcase>");
+    }
+    lines.push("  </testsuite>");
+  }
+
+  lines.push("</testsuites>", "");
+  return lines.join("\n");
+}
+
+function renderMarkdown(tests, summary) {
+  const status = summary.failed > 0 ? "❌" : "✅";
+  const lines = [
+    `## ${status} Test Report`,
+    "",
+    "| Tests | Passed | Failed | Pending | Duration | Transactions | Gas Used |",
+    "| --- | --- | --- | --- | --- | --- | --- |",
+    `| ${summary.tests} | ${summary.passed} | ${summary.failed} | ${summary.pending} | ${(summary.durationMs / 1000).toFixed(1)}s | ${summary.transactions} | ${summary.gasUsed.toLocaleString("en-US")} |`,
+    "",
+  ];
+
+  const failed = tests.filter((test) => test.state === "failed");
+  if (failed.length > 0) {
+    lines.push("### Failures", "");
+    for (const test of failed) {
+      lines.push(`- **${test.fullTitle}** (${test.file})`, `  \`${test.error.message.split("\n")[0]}\``);
+    }
+    lines.push("");
+  }
+
+  const table = (title, rows) => {
+    lines.push(`### ${title}`, "", "| Test | Duration | Transactions | Gas Used |", "| --- | --- | --- | --- |");
+    for (const test of rows) {
+      lines.push(`| ${test.fullTitle} | ${test.durationMs}ms | ${test.transactions.length} | ${test.gasUsed.toLocaleString("en-US")} |`);
+    }
+    lines.push("");
+  };
+
+  table("Most Gas", [...tests].sort((a, b) => b.gasUsed - a.gasUsed).slice(0, TOP_TESTS));
+  table("Slowest", [...tests].sort((a, b) => b.durationMs - a.durationMs).slice(0, TOP_TESTS));
+
+  return lines.join("\n");
+}
+
+function writeReports(tests) {
+  const directory = path.resolve(ROOT, process.env.TEST_REPORT_DIR || "test-results");
+  const summary = summarize(tests);
+
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(path.join(directory, "junit.xml"), renderJUnit(tests, summary));
+  fs.writeFileSync(path.join(directory, "report.json"), JSON.stringify({ summary, tests }, null, 2) + "\n");
+  fs.writeFileSync(path.join(directory, "report.md"), renderMarkdown(tests, summary));
+
+  console.log(`\nTest reports written to ${path.relative(ROOT, directory) || "."}/ (junit.xml, report.json, report.md)`);
+}
+
+// Hardhat loads every file under test/, so these root hooks see the whole run
+if (process.env.TEST_REPORT === "true" && typeof afterEach === "function") {
+  const tests = [];
+  let current = null;
+
+  // Record every transaction sent while a test runs; afterEach looks them up
+  const record = async (method, params, send) => {
+    if (!current || !SEND_METHODS.includes(method)) return send();
+
+    const recording = current;
+    try {
+      const result = await send();
+      recording.sends.push({ method, params, result, error: null });
+      return result;
+    } catch (error) {
+      recording.sends.push({ method, params, result: null, error });
+      throw error;
+    }
+  };
+
+  // hardhat-ethers goes through send(), other callers through request()
+  const provider = network.provider;
+  const request = provider.request.bind(provider);
+  const send = provider.send.bind(provider);
+  provider.request = (args) => record(args.method, args.params, () => request(args));
+  provider.send = (method, params) => record(method, params, () => send(method, params));
+
+  // Record the errors each test asserts
+  const recordAssertion = (label) => (_super) => function (...args) {
+    if (current) current.assertedErrors.push(label(args));
+    return _super.apply(this, args);
+  };
+  chai.Assertion.overwriteMethod("revertedWithCustomError", recordAssertion((args) => args[1]));
+  chai.Assertion.overwriteMethod("revertedWith", recordAssertion((args) => `"${args[0]}"`));
+
+  beforeEach(function () {
+    current = { sends: [], assertedErrors: [] };
+  });
+
+  afterEach(async function () {
+    const test = this.currentTest;
+    const { sends, assertedErrors } = current || { sends: [], assertedErrors: [] };
+    current = null;
+    const transactions = await describeTransactions(sends);
+
+    tests.push({
+      file: test.file ? path.relative(ROOT, test.file) : "",
+      suite: test.parent.titlePath().join(" > "),
+      title: test.title,
+      fullTitle: test.fullTitle(),
+      state: test.state || "pending",
+      durationMs: test.duration || 0,
+      transactions,
+      gasUsed: transactions.reduce((sum, tx) => sum + (tx.gasUsed || 0), 0),
+      assertedErrors: [...new Set(assertedErrors)],
+      error: test.err ? { message: test.err.message, stack: test.err.stack } : null,
+    });
+  });
+
+  after(function () {
+    writeReports(tests);
+  });
+}
+
+module.exports = {
+  describeSent,
+  describeTransactions,
+  summarize,
+  renderJUnit,
+  renderMarkdown,
+};
@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+/**
+ * MyToken-aware time helpers
+ *
+ * View calls run against the latest block, so once a block is mined at
+ * timestamp T, mintCooldownRemaining and canMint see exactly T. A transaction
+ * sent afterwards lands in the next block instead; pass `{ forNextTx: true }`
+ * to pin that block's timestamp rather than mining one.
+ */
+
+function addressOf(account) {
+  return typeof account === "string" ? account : account.address;
+}
+
+/**
+ * Timestamp at which the account's mint cooldown ends
+ */
+async function cooldownEnd(token, account) {
+  const address = addressOf(account);
+  const lastMint = await token.lastMintTime(address);
+  if (lastMint === 0n) {
+    throw new Error(`${address} has never minted with fee, so it has no cooldown`);
+  }
+  return Number(lastMint + (await token.MINT_COOLDOWN()));
+}
+
+/**
+ * Mine a block at exactly `timestamp`
+ */
+async function mineAt(timestamp) {
+  await time.increaseTo(timestamp);
+  return timestamp;
+}
+
+async function moveTo(timestamp, { forNextTx = false } = {}) {
+  if (forNextTx) {
+    await time.setNextBlockTimestamp(timestamp);
+    return timestamp;
+  }
+  return mineAt(timestamp);
+}
+
+/**
+ * Move to `offset` seconds from the end of the account's cooldown
+ */
+async function jumpToCooldownEnd(token, account, offset = 0, options = {}) {
+  return moveTo((await cooldownEnd(token, account)) + offset, options);
+}
+
+/**
+ * Move to one second before the cooldown ends (last second minting is blocked)
+ */
+async function jumpBeforeCooldownEnd(token, account, options = {}) {
+  return jumpToCooldownEnd(token, account, -1, options);
+}
+
+/**
+ * Move to one second after the cooldown ends
+ */
+async function jumpAfterCooldownEnd(token, account, options = {}) {
+  return jumpToCooldownEnd(token, account, 1, options);
+}
+
+/**
+ * Mine a block at each point in turn and run `callback(timestamp, index)` there.
+ * Points are offsets in seconds from `start` (default: the latest block).
+ */
+async function atTimePoints(offsets, callback, { start } = {}) {
+  const base = start === undefined ? await time.latest() : start;
+
+  for (const [index, offset] of offsets.entries()) {
+    const timestamp = base + offset;
+    const latest = await time.latest();
+
+    if (timestamp < latest) {
+      throw new Error(`Time point ${offset} (${timestamp}) is before the latest block (${latest})`);
+    }
+    if (timestamp > latest) {
+      await mineAt(timestamp);
+    }
+
+    await callback(timestamp, index);
+  }
+}
+
+/**
+ * Assert mintCooldownRemaining and canMint exactly at the latest block.
+ * Without `remaining`, the expected value is derived from lastMintTime.
+ */
+async function expectCooldown(token, account, remaining) {
+  const address = addressOf(account);
+
+  let expected = remaining === undefined ? undefined : BigInt(remaining);
+  if (expected === undefined) {
+    const lastMint = await token.lastMintTime(address);
+    const now = BigInt(await time.latest());
+    const end = lastMint + (await token.MINT_COOLDOWN());
+    expected = lastMint === 0n || now >= end ? 0n : end - now;
+  }
+
+  expect(await token.mintCooldownRemaining(address), "mintCooldownRemaining").to.equal(expected);
+  expect(await token.canMint(address), "canMint").to.equal(expected === 0n);
+}
+
+module.exports = {
+  cooldownEnd,
+  mineAt,
+  jumpToCooldownEnd,
+  jumpBeforeCooldownEnd,
+  jumpAfterCooldownEnd,
+  atTimePoints,
+  expectCooldown,
+};
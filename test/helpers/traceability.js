@@ -0,0 +1,216 @@
+const fs = require("fs");
+const path = require("path");
+const { REQUIREMENTS } = require("./requirements");
+
+/**
+ * Requirement traceability report
+ *
+ * Usage:
+ *   TRACEABILITY_REPORT=true npx hardhat test
+ *   TRACEABILITY_REPORT=true TRACEABILITY_UPDATE_README=true npx hardhat test
+ *
+ * Collects every test's result, maps `@REQ-...` tags in its full title to
+ * the requirements in requirements.js and writes test-results/traceability.json
+ * and traceability.md. Tests that never ran because a before/beforeEach
+ * hook failed count as failing. With TRACEABILITY_UPDATE_README, the README's
+ * "Test Coverage" checklist is regenerated from the report, but only after a
+ * full run: with --grep, .only, --bail or a subset of the test files, other
+ * requirements would show up as untested, so the README is left alone.
+ */
+
+const ROOT = path.join(__dirname, "..", "..");
+const OUTPUT_DIR = path.join(ROOT, "test-results");
+const README = path.join(ROOT, "README.md");
+const CHECKLIST_START = "<!-- coverage-checklist:start -->";
+const CHECKLIST_END = "<!-- coverage-checklist:end -->";
+
+const STATUS_ICONS = { passing: "✅", failing: "❌", untested: "⚠️" };
+
+function tagsOf(fullTitle) {
+  return [...new Set([...fullTitle.matchAll(/@(REQ-[A-Z0-9-]+)/g)].map((match) => match[1]))];
+}
+
+/**
+ * Map test results `{ fullTitle, state, file }` to requirements
+ */
+function buildTraceability(results, requirements = REQUIREMENTS) {
+  const known = new Set(requirements.map((requirement) => requirement.id));
+  const unknownTags = new Set();
+
+  const rows = requirements.map((requirement) => {
+    const tests = results.filter((result) => tagsOf(result.fullTitle).includes(requirement.id));
+    const failing = tests.filter((test) => test.state === "failed");
+    const passing = tests.filter((test) => test.state === "passed");
+
+    let status = "untested";
+    if (failing.length > 0) status = "failing";
+    else if (passing.length > 0) status = "passing";
+
+    return { ...requirement, status, passing: passing.length, failing: failing.length, tests };
+  });
+
+  for (const result of results) {
+    for (const tag of tagsOf(result.fullTitle)) {
+      if (!known.has(tag)) unknownTags.add(tag);
+    }
+  }
+
+  return {
+    requirements: rows,
+    untested: rows.filter((row) => row.status === "untested").map((row) => row.id),
+    unknownTags: [...unknownTags].sort(),
+  };
+}
+
+/**
+ * The README "Test Coverage" checklist, one line per requirement
+ */
+function renderChecklist(report) {
+  return report.requirements
+    .map((row) => `- ${STATUS_ICONS[row.status]} ${row.title}${row.status === "untested" ? " (no tests)" : ""}`)
+    .join("\n");
+}
+
+function renderMarkdown(report) {
+  const lines = [
+    "# Requirement Traceability",
+    "",
+    "| Requirement | Status | Passing | Failing |",
+    "| --- | --- | --- | --- |",
+    ...report.requirements.map(
+      (row) => `| ${row.id} ${row.title} | ${STATUS_ICONS[row.status]} ${row.status} | ${row.passing} | ${row.failing} |`
+    ),
+    "",
+  ];
+
+  lines.push("## Requirements without tests", "");
+  lines.push(...(report.untested.length > 0 ? report.untested.map((id) => `- ${id}`) : ["None"]), "");
+
+  if (report.unknownTags.length > 0) {
+    lines.push("## Unknown tags", "", ...report.unknownTags.map((tag) => `- @${tag}`), "");
+  }
+
+  for (const row of report.requirements.filter((requirement) => requirement.tests.length > 0)) {
+    lines.push(`## ${row.id}`, "");
+    for (const test of row.tests) {
+      lines.push(`- ${test.state === "passed" ? "✅" : test.state === "failed" ? "❌" : "⏸"} ${test.fullTitle} (${test.file})`);
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Replace the checklist between the README markers
+ */
+function updateReadmeChecklist(readme, checklist) {
+  const start = readme.indexOf(CHECKLIST_START);
+  const end = readme.indexOf(CHECKLIST_END);
+  if (start === -1 || end === -1) {
+    throw new Error(`README.md has no ${CHECKLIST_START} ... ${CHECKLIST_END} markers`);
+  }
+  return `${readme.slice(0, start + CHECKLIST_START.length)}\n${checklist}\n${readme.slice(end)}`;
+}
+
+function testsOf(suite) {
+  return [...suite.tests, ...suite.suites.flatMap(testsOf)];
+}
+
+function failedHook(suite) {
+  for (let current = suite; current; current = current.parent) {
+    const hooks = [...current._beforeAll, ...current._beforeEach, ...current._afterEach, ...current._afterAll];
+    const hook = hooks.find((candidate) => candidate.state === "failed");
+    if (hook) return hook;
+  }
+  return null;
+}
+
+function testFiles(dir = path.join(ROOT, "test")) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return testFiles(file);
+    return entry.name.endsWith(".test.js") ? [file] : [];
+  });
+}
+
+function resultOf(test, state) {
+  return {
+    fullTitle: test.fullTitle(),
+    state,
+    file: test.file ? path.relative(ROOT, test.file) : "",
+  };
+}
+
+/**
+ * Results for every test under `rootSuite`, given the ones that reached
+ * afterEach. Tests skipped by a failed hook are failed; `complete` is false
+ * when other tests didn't run or a file in `files` wasn't loaded.
+ */
+function collectResults(rootSuite, recorded, files = testFiles()) {
+  const results = [];
+  const notRun = [];
+
+  const tests = testsOf(rootSuite);
+  for (const test of tests) {
+    if (recorded.has(test)) {
+      results.push(recorded.get(test));
+      continue;
+    }
+    if (test.isPending()) continue;
+
+    const hook = failedHook(test.parent);
+    if (hook) results.push({ ...resultOf(test, "failed"), hook: hook.title });
+    else notRun.push(test.fullTitle());
+  }
+
+  const loaded = new Set(tests.map((test) => test.file));
+  const notLoaded = files.filter((file) => !loaded.has(file));
+
+  return { results, complete: notRun.length === 0 && notLoaded.length === 0, notRun, notLoaded };
+}
+
+function writeReport({ results, complete, notRun, notLoaded }) {
+  const report = buildTraceability(results);
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  fs.writeFileSync(path.join(OUTPUT_DIR, "traceability.json"), JSON.stringify(report, null, 2) + "\n");
+  fs.writeFileSync(path.join(OUTPUT_DIR, "traceability.md"), renderMarkdown(report));
+
+  if (process.env.TRACEABILITY_UPDATE_README === "true") {
+    if (complete) {
+      fs.writeFileSync(README, updateReadmeChecklist(fs.readFileSync(README, "utf8"), renderChecklist(report)));
+    } else {
+      console.log(
+        `\nTraceability: README checklist not updated, the run was partial ` +
+          `(${notRun.length} tests not run, ${notLoaded.length} test files not loaded); run the full suite`
+      );
+    }
+  }
+
+  console.log(`\nTraceability: ${report.requirements.length - report.untested.length}/${report.requirements.length} requirements tested`);
+  if (report.untested.length > 0) console.log(`Without tests: ${report.untested.join(", ")}`);
+  if (report.unknownTags.length > 0) console.log(`Unknown tags: ${report.unknownTags.map((tag) => `@${tag}`).join(", ")}`);
+}
+
+// Hardhat loads every file under test/, so these root hooks see the whole run
+if (process.env.TRACEABILITY_REPORT === "true" && typeof afterEach === "function") {
+  const recorded = new Map();
+
+  afterEach(function () {
+    const test = this.currentTest;
+    recorded.set(test, resultOf(test, test.state || "pending"));
+  });
+
+  after(function () {
+    writeReport(collectResults(this.test.parent, recorded));
+  });
+}
+
+module.exports = {
+  tagsOf,
+  buildTraceability,
+  collectResults,
+  renderChecklist,
+  updateReadmeChecklist,
+};
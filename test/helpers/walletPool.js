@@ -0,0 +1,163 @@
+const { ethers, network } = require("hardhat");
+const { createRandom } = require("./fuzz");
+const { labelAddress } = require("./readableAssertions");
+
+/**
+ * Deterministic pool of funded wallets for stress tests
+ *
+ * Usage:
+ *   const pool = await createWalletPool({ size: 500, seed: 42 });
+ *   await pool.distribute(token, owner, ethers.parseEther("100"));
+ *   await token.connect(pool.wallet(7)).transfer(pool.wallet(8).address, amount);
+ *
+ *   const [from, to] = pool.sample(2);
+ *
+ * Wallet i's private key is keccak256("wallet-pool", seed, i), so the same
+ * seed gives the same addresses on every run, and `random` / `sample` are
+ * seeded from it too. Wallets are connected to the Hardhat provider, funded
+ * with hardhat_setBalance and labelled seed<seed>/wallet<i> in assertion
+ * messages.
+ * distribute() sends its transfers with automine off, `batchSize` at a
+ * time, and mines each batch in one block when it fits under the block gas
+ * limit and in as many blocks as it takes otherwise.
+ */
+
+const DEFAULT_BALANCE = ethers.parseEther("10");
+const DEFAULT_BATCH_SIZE = 100;
+
+function deriveKey(seed, index) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(["string", "uint256", "uint256"], ["wallet-pool", seed, index])
+  );
+}
+
+/**
+ * Mine blocks until every hash has a receipt; a batch over the block gas
+ * limit spills into the following blocks
+ */
+async function mineUntilIncluded(hashes) {
+  let waiting = hashes;
+  while (waiting.length > 0) {
+    await network.provider.send("evm_mine");
+    const left = [];
+    for (const hash of waiting) {
+      if (!(await ethers.provider.getTransactionReceipt(hash))) left.push(hash);
+    }
+    if (left.length === waiting.length) {
+      // Left in the mempool they would land in whatever block is mined next
+      for (const hash of left) {
+        await network.provider.send("hardhat_dropTransaction", [hash]);
+      }
+      throw new Error(`${left.length} transactions were not mined in a new block; lower their gasLimit`);
+    }
+    waiting = left;
+  }
+}
+
+/**
+ * Send and mine the sends `batchSize` at a time and return every receipt,
+ * reverted ones included
+ */
+async function mineInBatches(sends, batchSize) {
+  const receipts = [];
+  await network.provider.send("evm_setAutomine", [false]);
+  try {
+    for (let start = 0; start < sends.length; start += batchSize) {
+      const hashes = [];
+      for (const send of sends.slice(start, start + batchSize)) {
+        hashes.push((await send()).hash);
+      }
+      await mineUntilIncluded(hashes);
+      // tx.wait() polls for new blocks and stalls after a manual evm_mine
+      for (const hash of hashes) {
+        receipts.push(await ethers.provider.getTransactionReceipt(hash));
+      }
+    }
+  } finally {
+    await network.provider.send("evm_setAutomine", [true]);
+  }
+  return receipts;
+}
+
+/**
+ * Derive `size` wallets from `seed` and give each `balance` wei
+ */
+async function createWalletPool({ size, seed = 1, balance = DEFAULT_BALANCE } = {}) {
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`Wallet pool size must be a positive integer, got ${size}`);
+  }
+
+  const wallets = [];
+  for (let i = 0; i < size; i++) {
+    const wallet = new ethers.Wallet(deriveKey(seed, i), ethers.provider);
+    await network.provider.send("hardhat_setBalance", [wallet.address, ethers.toQuantity(balance)]);
+    await labelAddress(wallet.address, `seed${seed}/wallet${i}`);
+    wallets.push(wallet);
+  }
+
+  const random = createRandom(seed);
+
+  return {
+    seed,
+    wallets,
+    addresses: wallets.map((wallet) => wallet.address),
+    random,
+
+    wallet(index) {
+      if (!wallets[index]) {
+        throw new Error(`No wallet ${index} in a pool of ${size}`);
+      }
+      return wallets[index];
+    },
+
+    /**
+     * `count` distinct wallets picked with the pool's seeded generator
+     */
+    sample(count) {
+      if (count > size) {
+        throw new Error(`Cannot sample ${count} wallets from a pool of ${size}`);
+      }
+      const remaining = [...wallets];
+      const picked = [];
+      for (let i = 0; i < count; i++) {
+        picked.push(remaining.splice(Math.floor(random.next() * remaining.length), 1)[0]);
+      }
+      return picked;
+    },
+
+    /**
+     * Transfer tokens from `from` to every wallet; `amount` is a bigint or
+     * (wallet, index) => bigint
+     */
+    async distribute(token, from, amount, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+      const amountFor = typeof amount === "function" ? amount : () => amount;
+      // With automine off Hardhat signers default to the block gas limit, which
+      // leaves room for one transaction per block. The estimate runs before the
+      // batch changes any state, so it gets headroom
+      const estimate = await token.connect(from).transfer.estimateGas(wallets[0].address, amountFor(wallets[0], 0));
+      const gasLimit = (estimate * 12n) / 10n;
+      const sends = wallets.map((wallet, i) => () =>
+        token.connect(from).transfer(wallet.address, amountFor(wallet, i), { gasLimit })
+      );
+      const receipts = await mineInBatches(sends, batchSize);
+      const failed = receipts.findIndex((receipt) => receipt.status !== 1);
+      if (failed !== -1) {
+        throw new Error(`Distributing to wallet${failed} reverted (tx ${receipts[failed].hash})`);
+      }
+      return receipts;
+    },
+
+    /**
+     * Run `send(wallet, index)` for every wallet, `batchSize` transactions at
+     * a time; reverted transactions show up as receipts with status 0.
+     * Pool wallets estimate their own gas; Hardhat signers need a gasLimit
+     */
+    async inBatches(send, { batchSize = DEFAULT_BATCH_SIZE } = {}) {
+      return mineInBatches(wallets.map((wallet, i) => () => send(wallet, i)), batchSize);
+    },
+  };
+}
+
+module.exports = {
+  createWalletPool,
+};
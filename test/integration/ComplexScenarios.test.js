@@ -1,20 +1,15 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployTokenFixture } = require("../helpers/fixtures");
+const { createGasSnapshot } = require("../helpers/gasSnapshot");
+const { createModelHarness } = require("../helpers/modelHarness");
+const { Events, recordEvents, startRecording, expectEvents } = require("../helpers/events");
+const { createWalletPool } = require("../helpers/walletPool");
+const { checkpoint, revertTo, withCheckpoint } = require("../helpers/checkpoints");
 
 describe("MyToken - Integration Tests", function () {
-  // Fixture for deploying the contract
-  async function deployTokenFixture() {
-    const [owner, addr1, addr2, addr3, addr4, addr5] = await ethers.getSigners();
-    
-    const MyToken = await ethers.getContractFactory("MyToken");
-    const initialSupply = ethers.parseEther("1000000");
-    const token = await MyToken.deploy("MyToken", "MTK", initialSupply);
-    
-    return { token, owner, addr1, addr2, addr3, addr4, addr5, initialSupply };
-  }
-
-  describe("Multi-User Token Distribution Workflow", function () {
+  describe("Multi-User Token Distribution Workflow @REQ-MULTI-USER @REQ-TRANSFER", function () {
     it("Should handle complex distribution and approval workflow", async function () {
       const { token, owner, addr1, addr2, addr3, addr4 } = await loadFixture(deployTokenFixture);
       
@@ -51,7 +46,7 @@ describe("MyToken - Integration Tests", function () {
     });
   });
 
-  describe("Minting and Burning Lifecycle", function () {
+  describe("Minting and Burning Lifecycle @REQ-MINT @REQ-BURN", function () {
     it("Should handle complete mint-transfer-burn cycle", async function () {
       const { token, owner, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
       
@@ -84,7 +79,7 @@ describe("MyToken - Integration Tests", function () {
       );
     });
 
-    it("Should handle multiple users minting with fees over time", async function () {
+    it("Should handle multiple users minting with fees over time @REQ-COOLDOWN", async function () {
       const { token, owner, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
       
       const fee = await token.mintingFee();
@@ -115,7 +110,7 @@ describe("MyToken - Integration Tests", function () {
     });
   });
 
-  describe("Blacklist Integration", function () {
+  describe("Blacklist Integration @REQ-BLACKLIST", function () {
     it("Should handle blacklist during active trading", async function () {
       const { token, owner, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
       
@@ -177,7 +172,7 @@ describe("MyToken - Integration Tests", function () {
     });
   });
 
-  describe("Pause Integration", function () {
+  describe("Pause Integration @REQ-PAUSE", function () {
     it("Should handle pause during active operations", async function () {
       const { token, owner, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
       
@@ -222,61 +217,56 @@ describe("MyToken - Integration Tests", function () {
     });
   });
 
-  describe("Complex Multi-Step Scenarios", function () {
+  describe("Complex Multi-Step Scenarios @REQ-MULTI-USER", function () {
     it("Should handle complete token economy simulation", async function () {
-      const { token, owner, addr1, addr2, addr3, addr4, addr5 } = await loadFixture(deployTokenFixture);
+      const { token, owner, addr1, addr2, addr3, addr4, addr5, initialSupply } = await loadFixture(deployTokenFixture);
+      
+      // Every step is checked against the reference model: state, events, reverts and ETH
+      const harness = await createModelHarness(token, [owner, addr1, addr2, addr3, addr4, addr5]);
       
       // === Phase 1: Initial Distribution ===
-      await token.transfer(addr1.address, ethers.parseEther("100000"));
-      await token.transfer(addr2.address, ethers.parseEther("80000"));
-      await token.transfer(addr3.address, ethers.parseEther("60000"));
+      await harness.send(owner, "transfer", [addr1.address, ethers.parseEther("100000")]);
+      await harness.send(owner, "transfer", [addr2.address, ethers.parseEther("80000")]);
+      await harness.send(owner, "transfer", [addr3.address, ethers.parseEther("60000")]);
       
       // === Phase 2: Fee Updates ===
       const newFee = ethers.parseEther("0.002");
-      await token.setMintingFee(newFee);
+      await harness.send(owner, "setMintingFee", [newFee]);
       
       // === Phase 3: Users mint with updated fee ===
-      await token.connect(addr4).mintWithFee(addr4.address, ethers.parseEther("5000"), { value: newFee });
-      await token.connect(addr5).mintWithFee(addr5.address, ethers.parseEther("3000"), { value: newFee });
+      await harness.send(addr4, "mintWithFee", [addr4.address, ethers.parseEther("5000")], { value: newFee });
+      await harness.send(addr5, "mintWithFee", [addr5.address, ethers.parseEther("3000")], { value: newFee });
       
       // === Phase 4: Complex approval chain ===
-      await token.connect(addr1).approve(addr2.address, ethers.parseEther("20000"));
-      await token.connect(addr2).approve(addr3.address, ethers.parseEther("15000"));
+      await harness.send(addr1, "approve", [addr2.address, ethers.parseEther("20000")]);
+      await harness.send(addr2, "approve", [addr3.address, ethers.parseEther("15000")]);
       
       // === Phase 5: Delegated transfers ===
-      await token.connect(addr2).transferFrom(addr1.address, addr3.address, ethers.parseEther("10000"));
-      await token.connect(addr3).transferFrom(addr2.address, addr4.address, ethers.parseEther("8000"));
+      await harness.send(addr2, "transferFrom", [addr1.address, addr3.address, ethers.parseEther("10000")]);
+      await harness.send(addr3, "transferFrom", [addr2.address, addr4.address, ethers.parseEther("8000")]);
       
       // === Phase 6: Some users burn tokens ===
-      await token.connect(addr1).burn(ethers.parseEther("5000"));
-      await token.connect(addr3).burn(ethers.parseEther("10000"));
+      await harness.send(addr1, "burn", [ethers.parseEther("5000")]);
+      await harness.send(addr3, "burn", [ethers.parseEther("10000")]);
       
       // === Phase 7: Emergency scenario - blacklist and pause ===
-      await token.setBlacklist(addr5.address, true);
-      await token.pause();
+      await harness.send(owner, "setBlacklist", [addr5.address, true]);
+      await harness.send(owner, "pause");
       
       // Verify all transfers blocked
-      await expect(
-        token.connect(addr1).transfer(addr2.address, ethers.parseEther("100"))
-      ).to.be.revertedWithCustomError(token, "EnforcedPause");
+      const blocked = await harness.send(addr1, "transfer", [addr2.address, ethers.parseEther("100")]);
+      expect(blocked.revert.name).to.equal("EnforcedPause");
       
       // === Phase 8: Resume operations ===
-      await token.unpause();
+      await harness.send(owner, "unpause");
       
       // === Phase 9: Fee withdrawal ===
-      const contractBalance = await ethers.provider.getBalance(await token.getAddress());
-      expect(contractBalance).to.equal(newFee * 2n);
-      
-      await token.emergencyWithdraw();
-      expect(await ethers.provider.getBalance(await token.getAddress())).to.equal(0);
+      await harness.send(owner, "emergencyWithdraw");
       
       // === Phase 10: Final verification ===
-      const finalSupply = await token.totalSupply();
-      const initialSupply = (await loadFixture(deployTokenFixture)).initialSupply;
-      
       // Total supply = initial + minted - burned
       const expectedSupply = initialSupply + ethers.parseEther("8000") - ethers.parseEther("15000");
-      expect(finalSupply).to.equal(expectedSupply);
+      expect(harness.model.state.totalSupply).to.equal(expectedSupply);
     });
 
     it("Should handle competitive minting scenario", async function () {
@@ -309,7 +299,7 @@ describe("MyToken - Integration Tests", function () {
       expect(await token.canMint(addr3.address)).to.equal(true);
     });
 
-    it("Should handle max supply edge case with multiple minters", async function () {
+    it("Should handle max supply edge case with multiple minters @REQ-MAX-SUPPLY", async function () {
       const [owner, addr1, addr2, addr3] = await ethers.getSigners();
       
       // Deploy with supply near max
@@ -348,44 +338,160 @@ describe("MyToken - Integration Tests", function () {
         token.connect(addr1).mintWithFee(addr1.address, ethers.parseEther("1"), { value: fee })
       ).to.be.revertedWithCustomError(token, "MaxSupplyExceeded");
     });
+
+    it("Should explore what-if branches of a workflow from checkpoints", async function () {
+      const { token, owner, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+      const fee = await token.mintingFee();
+      
+      // === Phase 1: Distribution and delegation ===
+      await token.transfer(addr1.address, ethers.parseEther("10000"));
+      await token.connect(addr1).approve(addr2.address, ethers.parseEther("5000"));
+      await checkpoint("delegated");
+      
+      // What if the owner paused here?
+      await withCheckpoint("paused", async () => {
+        await token.pause();
+        await expect(
+          token.connect(addr2).transferFrom(addr1.address, addr3.address, ethers.parseEther("1000"))
+        ).to.be.revertedWithCustomError(token, "EnforcedPause");
+        
+        // ...and blacklisted the spender's recipient before unpausing?
+        await withCheckpoint("blacklisted", async () => {
+          await token.setBlacklist(addr3.address, true);
+          await token.unpause();
+          await expect(
+            token.connect(addr2).transferFrom(addr1.address, addr3.address, ethers.parseEther("1000"))
+          ).to.be.revertedWithCustomError(token, "AccountBlacklisted");
+        });
+        expect(await token.blacklisted(addr3.address)).to.equal(false);
+      });
+      expect(await token.paused()).to.equal(false);
+      
+      // === Phase 2: Delegated spending and fee minting ===
+      await token.connect(addr2).transferFrom(addr1.address, addr3.address, ethers.parseEther("1000"));
+      await token.connect(addr3).mintWithFee(addr3.address, ethers.parseEther("500"), { value: fee });
+      expect(await token.balanceOf(addr3.address)).to.equal(ethers.parseEther("1500"));
+      
+      // What if the fee had been raised before the mint instead?
+      await revertTo("delegated");
+      await token.setMintingFee(fee * 2n);
+      await token.connect(addr2).transferFrom(addr1.address, addr3.address, ethers.parseEther("1000"));
+      await expect(
+        token.connect(addr3).mintWithFee(addr3.address, ethers.parseEther("500"), { value: fee })
+      ).to.be.revertedWithCustomError(token, "InsufficientFee");
+      expect(await token.balanceOf(addr3.address)).to.equal(ethers.parseEther("1000"));
+      expect(await ethers.provider.getBalance(await token.getAddress())).to.equal(0);
+    });
+  });
+
+  describe("Event Sequences", function () {
+    const { Transfer, Approval, TokensMinted, TokensBurned, EmergencyWithdraw } = Events;
+
+    it("Should emit exactly the fee mint and withdrawal events in order", async function () {
+      const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
+      const fee = await token.mintingFee();
+      const amount = ethers.parseEther("1000");
+      
+      const recorder = await startRecording(token);
+      await token.connect(addr1).mintWithFee(addr1.address, amount, { value: fee });
+      await token.emergencyWithdraw();
+      
+      await expectEvents(recorder.events(), [
+        Transfer(ethers.ZeroAddress, addr1, amount),
+        TokensMinted(addr1, amount, fee),
+        EmergencyWithdraw(owner, fee),
+      ]);
+    });
+
+    it("Should not emit Approval when spending an allowance", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(deployTokenFixture);
+      const amount = ethers.parseEther("500");
+      
+      // Each transaction is mined before the next is sent: transferFrom needs the approval
+      const approveTx = await token.approve(addr1.address, amount);
+      await approveTx.wait();
+      const spendTx = await token.connect(addr1).transferFrom(owner.address, addr2.address, amount);
+      await spendTx.wait();
+      
+      const events = await recordEvents(token, [approveTx, spendTx]);
+      
+      await expectEvents(events, [
+        Approval(owner, addr1, amount),
+        Transfer(owner, addr2, amount),
+      ]);
+    });
+
+    it("Should emit burn events within a longer lifecycle", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(deployTokenFixture);
+      const amount = ethers.parseEther("1000");
+      
+      const recorder = await startRecording(token);
+      await token.mint(addr1.address, amount);
+      await token.connect(addr1).transfer(addr2.address, amount);
+      await token.connect(addr2).burn(amount);
+      
+      await expectEvents(recorder.events(), [
+        TokensMinted(addr1, amount, 0n),
+        Transfer(addr2, ethers.ZeroAddress, amount),
+        TokensBurned(addr2, amount),
+      ], { mode: "ordered" });
+    });
+
+    it("Should emit the same events for independent transfers in any order", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(deployTokenFixture);
+      const amount = ethers.parseEther("100");
+      
+      const firstTx = await token.transfer(addr2.address, amount);
+      await firstTx.wait();
+      const secondTx = await token.transfer(addr1.address, amount);
+      await secondTx.wait();
+      
+      const events = await recordEvents(token, [firstTx, secondTx]);
+      
+      await expectEvents(events, [
+        Transfer(owner, addr1, amount),
+        Transfer(owner, addr2, amount),
+      ], { mode: "unordered" });
+    });
+
+    it("Should report a readable diff when the sequence differs", async function () {
+      const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
+      const amount = ethers.parseEther("100");
+      
+      const events = await recordEvents(token, [token.transfer(addr1.address, amount)]);
+      
+      await expect(expectEvents(events, [Transfer(owner, addr1, amount * 2n), Approval()]))
+        .to.be.rejectedWith(/! #0 expected .*\n\s+got .*\n\s+- #1 missing +Approval\(\.\.\.\)/);
+    });
   });
 
-  describe("Gas Optimization Scenarios", function () {
+  describe("Gas Optimization Scenarios @REQ-GAS", function () {
+    const gas = createGasSnapshot();
+    
+    after(function () {
+      gas.check();
+    });
+    
     it("Should measure gas for common operations", async function () {
       const { token, owner, addr1, addr2 } = await loadFixture(deployTokenFixture);
       
-      // Measure transfer gas
-      const transferTx = await token.transfer(addr1.address, ethers.parseEther("1000"));
-      const transferReceipt = await transferTx.wait();
-      console.log(`Transfer gas used: ${transferReceipt.gasUsed}`);
+      await gas.record("transfer", token.transfer(addr1.address, ethers.parseEther("1000")));
       
-      // Measure approval gas
-      const approveTx = await token.approve(addr2.address, ethers.parseEther("5000"));
-      const approveReceipt = await approveTx.wait();
-      console.log(`Approve gas used: ${approveReceipt.gasUsed}`);
+      await gas.record("approve", token.approve(addr2.address, ethers.parseEther("5000")));
       
-      // Measure transferFrom gas
-      const transferFromTx = await token.connect(addr2).transferFrom(
+      await gas.record("transferFrom", token.connect(addr2).transferFrom(
         owner.address,
         addr1.address,
         ethers.parseEther("1000")
-      );
-      const transferFromReceipt = await transferFromTx.wait();
-      console.log(`TransferFrom gas used: ${transferFromReceipt.gasUsed}`);
-      
-      // Measure mint gas
-      const mintTx = await token.mint(addr1.address, ethers.parseEther("1000"));
-      const mintReceipt = await mintTx.wait();
-      console.log(`Mint gas used: ${mintReceipt.gasUsed}`);
-      
-      // Measure burn gas
-      const burnTx = await token.connect(addr1).burn(ethers.parseEther("500"));
-      const burnReceipt = await burnTx.wait();
-      console.log(`Burn gas used: ${burnReceipt.gasUsed}`);
+      ));
+      
+      await gas.record("mint", token.mint(addr1.address, ethers.parseEther("1000")));
+      
+      await gas.record("burn", token.connect(addr1).burn(ethers.parseEther("500")));
     });
   });
 
-  describe("Stress Testing", function () {
+  describe("Stress Testing @REQ-MULTI-USER", function () {
     it("Should handle many sequential operations", async function () {
       const { token, owner, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
       
@@ -406,26 +512,76 @@ describe("MyToken - Integration Tests", function () {
     });
 
     it("Should handle token circulation among many users", async function () {
-      const { token, owner, addr1, addr2, addr3, addr4, addr5 } = await loadFixture(deployTokenFixture);
-      
-      const addresses = [addr1, addr2, addr3, addr4, addr5];
-      const amount = ethers.parseEther("10000");
+      const { token, owner, initialSupply } = await loadFixture(deployTokenFixture);
+      const pool = await createWalletPool({ size: 200, seed: 42 });
+      const amount = ethers.parseEther("2000");
       
       // Distribute to all
-      for (const addr of addresses) {
-        await token.transfer(addr.address, amount);
-      }
+      await pool.distribute(token, owner, amount);
+      
+      // Circular transfers, each wallet passing a seeded random amount to the next
+      const sent = pool.wallets.map(() => ethers.parseEther(String(1 + Math.floor(pool.random.next() * 1000))));
+      await pool.inBatches((wallet, i) =>
+        token.connect(wallet).transfer(pool.addresses[(i + 1) % pool.wallets.length], sent[i])
+      );
       
-      // Create circular transfers
-      for (let i = 0; i < addresses.length; i++) {
-        const from = addresses[i];
-        const to = addresses[(i + 1) % addresses.length];
-        await token.connect(from).transfer(to.address, ethers.parseEther("1000"));
+      for (let i = 0; i < pool.wallets.length; i++) {
+        const received = sent[(i + pool.wallets.length - 1) % pool.wallets.length];
+        expect(await token.balanceOf(pool.addresses[i])).to.equal(amount - sent[i] + received);
       }
       
       // Verify total supply unchanged
-      const initialSupply = (await loadFixture(deployTokenFixture)).initialSupply;
       expect(await token.totalSupply()).to.equal(initialSupply);
     });
+
+    it("Should handle competitive minting among many wallets in the same block", async function () {
+      const { token, initialSupply } = await loadFixture(deployTokenFixture);
+      const pool = await createWalletPool({ size: 100, seed: 7 });
+      const fee = await token.mintingFee();
+      const mintAmount = ethers.parseEther("5000");
+      
+      const receipts = await pool.inBatches(
+        (wallet) => token.connect(wallet).mintWithFee(wallet.address, mintAmount, { value: fee }),
+        { batchSize: pool.wallets.length }
+      );
+      
+      expect(new Set(receipts.map((receipt) => receipt.blockNumber)).size).to.equal(1);
+      expect(await token.totalSupply()).to.equal(initialSupply + mintAmount * BigInt(pool.wallets.length));
+      expect(await ethers.provider.getBalance(await token.getAddress())).to.equal(fee * BigInt(pool.wallets.length));
+      
+      // Every minter is on cooldown; a second mint from any of them reverts
+      const [again] = pool.sample(1);
+      expect(await token.canMint(again.address)).to.equal(false);
+      await expect(token.connect(again).mintWithFee(again.address, mintAmount, { value: fee }))
+        .to.be.revertedWithCustomError(token, "MintCooldownActive");
+    });
+
+    it("Should mine a batch over the block gas limit across several blocks", async function () {
+      const { token, owner } = await loadFixture(deployTokenFixture);
+      const pool = await createWalletPool({ size: 5, seed: 11 });
+      const { gasLimit: blockGasLimit } = await ethers.provider.getBlock("latest");
+      
+      // A transaction only goes in while its gasLimit fits in the gas the block has left
+      const receipts = await pool.inBatches(
+        (wallet) => token.connect(owner).transfer(wallet.address, ethers.parseEther("1"), { gasLimit: blockGasLimit }),
+        { batchSize: pool.wallets.length }
+      );
+      
+      expect(receipts.map((receipt) => receipt.status)).to.deep.equal([1, 1, 1, 1, 1]);
+      expect(new Set(receipts.map((receipt) => receipt.blockNumber)).size).to.equal(pool.wallets.length);
+      for (const address of pool.addresses) {
+        expect(await token.balanceOf(address)).to.equal(ethers.parseEther("1"));
+      }
+    });
+
+    it("Should derive the same wallets from the same seed", async function () {
+      const first = await createWalletPool({ size: 3, seed: 42 });
+      const second = await createWalletPool({ size: 3, seed: 42 });
+      const other = await createWalletPool({ size: 3, seed: 43 });
+      
+      expect(second.addresses).to.deep.equal(first.addresses);
+      expect(other.addresses.filter((address) => first.addresses.includes(address))).to.be.empty;
+      expect(await ethers.provider.getBalance(first.addresses[0])).to.equal(ethers.parseEther("10"));
+    });
   });
 });
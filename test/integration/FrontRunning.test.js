@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployTokenFixture } = require("../helpers/fixtures");
+const { Errors } = require("../helpers/errors");
+const { HUNDRED_TOKENS, ONE_GWEI } = require("../helpers/constants");
+const { expectOutcomes, mineByPriority, mineInOrder } = require("../helpers/blockOrdering");
+
+describe("MyToken - Same-Block Ordering Tests @REQ-MULTI-USER", function () {
+  const LOW_PRIORITY = ONE_GWEI;
+  const HIGH_PRIORITY = 10n * ONE_GWEI;
+
+  describe("Ordering Helpers", function () {
+    it("Should mine queued transactions in one block in the listed order", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(deployTokenFixture);
+
+      const block = await mineInOrder([
+        { label: "fund", from: owner, contract: token, method: "transfer", args: [addr1.address, HUNDRED_TOKENS] },
+        { label: "pass", from: addr1, contract: token, method: "transfer", args: [addr2.address, HUNDRED_TOKENS] },
+      ]);
+
+      expect(block.order).to.deep.equal(["fund", "pass"]);
+      expect(block.outcome("fund").position).to.equal(0);
+      expectOutcomes(block, { fund: "success", pass: "success" });
+      expect(await token.balanceOf(addr2.address)).to.equal(HUNDRED_TOKENS);
+    });
+
+    it("Should put a higher priority fee ahead of an earlier transaction", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(deployTokenFixture);
+
+      const block = await mineByPriority([
+        { label: "fund", from: owner, contract: token, method: "transfer", args: [addr1.address, HUNDRED_TOKENS], priorityFee: LOW_PRIORITY },
+        { label: "pass", from: addr1, contract: token, method: "transfer", args: [addr2.address, HUNDRED_TOKENS], priorityFee: HIGH_PRIORITY },
+      ]);
+
+      expect(block.order).to.deep.equal(["pass", "fund"]);
+      expectOutcomes(block, { pass: Errors.ERC20InsufficientBalance, fund: "success" });
+      expect(block.outcome("pass").error.args).to.deep.equal([addr1.address, 0n, HUNDRED_TOKENS]);
+    });
+  });
+
+  describe("Approve Race @REQ-TRANSFER", function () {
+    const INITIAL_ALLOWANCE = HUNDRED_TOKENS;
+    const LOWERED_ALLOWANCE = ethers.parseEther("50");
+
+    async function approvedSpenderFixture() {
+      const fixture = await loadFixture(deployTokenFixture);
+      const { token, addr1, addr2 } = fixture;
+      await token.transfer(addr1.address, ethers.parseEther("1000"));
+      await token.connect(addr1).approve(addr2.address, INITIAL_ALLOWANCE);
+      return fixture;
+    }
+
+    it("Should let a spender front-run an allowance decrease and spend both allowances", async function () {
+      const { token, addr1, addr2, addr3 } = await loadFixture(approvedSpenderFixture);
+
+      const block = await mineByPriority([
+        { label: "lower", from: addr1, contract: token, method: "approve", args: [addr2.address, LOWERED_ALLOWANCE], priorityFee: LOW_PRIORITY },
+        { label: "drain", from: addr2, contract: token, method: "transferFrom", args: [addr1.address, addr3.address, INITIAL_ALLOWANCE], priorityFee: HIGH_PRIORITY },
+      ]);
+
+      expect(block.order).to.deep.equal(["drain", "lower"]);
+      expectOutcomes(block, { drain: "success", lower: "success" });
+
+      // The decrease reset the allowance instead of lowering what was left of it
+      expect(await token.allowance(addr1.address, addr2.address)).to.equal(LOWERED_ALLOWANCE);
+      await token.connect(addr2).transferFrom(addr1.address, addr3.address, LOWERED_ALLOWANCE);
+      expect(await token.balanceOf(addr3.address)).to.equal(INITIAL_ALLOWANCE + LOWERED_ALLOWANCE);
+    });
+
+    it("Should hold the spender to the new allowance when the decrease lands first", async function () {
+      const { token, addr1, addr2, addr3 } = await loadFixture(approvedSpenderFixture);
+
+      const block = await mineInOrder([
+        { label: "lower", from: addr1, contract: token, method: "approve", args: [addr2.address, LOWERED_ALLOWANCE] },
+        { label: "drain", from: addr2, contract: token, method: "transferFrom", args: [addr1.address, addr3.address, INITIAL_ALLOWANCE] },
+      ]);
+
+      expectOutcomes(block, { lower: "success", drain: Errors.ERC20InsufficientAllowance });
+      expect(await token.allowance(addr1.address, addr2.address)).to.equal(LOWERED_ALLOWANCE);
+      expect(await token.balanceOf(addr3.address)).to.equal(0n);
+    });
+  });
+
+  describe("Blacklist in the Same Block @REQ-BLACKLIST", function () {
+    async function fundedVictimFixture() {
+      const fixture = await loadFixture(deployTokenFixture);
+      await fixture.token.transfer(fixture.addr1.address, HUNDRED_TOKENS);
+      return fixture;
+    }
+
+    it("Should revert a transfer ordered after setBlacklist", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(fundedVictimFixture);
+
+      const block = await mineInOrder([
+        { label: "blacklist", from: owner, contract: token, method: "setBlacklist", args: [addr1.address, true] },
+        { label: "transfer", from: addr1, contract: token, method: "transfer", args: [addr2.address, HUNDRED_TOKENS] },
+      ]);
+
+      expectOutcomes(block, { blacklist: "success", transfer: Errors.AccountBlacklisted });
+      expect(block.outcome("transfer").error.args).to.deep.equal([addr1.address]);
+      expect(await token.balanceOf(addr1.address)).to.equal(HUNDRED_TOKENS);
+    });
+
+    it("Should let a transfer with a higher priority fee get out before the blacklist", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(fundedVictimFixture);
+
+      const block = await mineByPriority([
+        { label: "blacklist", from: owner, contract: token, method: "setBlacklist", args: [addr1.address, true], priorityFee: LOW_PRIORITY },
+        { label: "transfer", from: addr1, contract: token, method: "transfer", args: [addr2.address, HUNDRED_TOKENS], priorityFee: HIGH_PRIORITY },
+      ]);
+
+      expect(block.order).to.deep.equal(["transfer", "blacklist"]);
+      expectOutcomes(block, { transfer: "success", blacklist: "success" });
+      expect(await token.balanceOf(addr2.address)).to.equal(HUNDRED_TOKENS);
+      expect(await token.blacklisted(addr1.address)).to.be.true;
+    });
+  });
+
+  describe("Minting Fee Front-Running @REQ-MINT", function () {
+    it("Should revert a mint front-run by a fee increase", async function () {
+      const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
+      const fee = await token.mintingFee();
+      const raisedFee = fee * 10n;
+
+      const block = await mineByPriority([
+        { label: "mint", from: addr1, contract: token, method: "mintWithFee", args: [addr1.address, HUNDRED_TOKENS], value: fee, priorityFee: LOW_PRIORITY },
+        { label: "raise", from: owner, contract: token, method: "setMintingFee", args: [raisedFee], priorityFee: HIGH_PRIORITY },
+      ]);
+
+      expect(block.order).to.deep.equal(["raise", "mint"]);
+      expectOutcomes(block, { raise: "success", mint: Errors.InsufficientFee });
+      expect(block.outcome("mint").error.args).to.deep.equal([raisedFee, fee]);
+      expect(await token.balanceOf(addr1.address)).to.equal(0n);
+      expect(await ethers.provider.getBalance(await token.getAddress())).to.equal(0n);
+    });
+
+    it("Should mint at the old fee when the mint lands first", async function () {
+      const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
+      const fee = await token.mintingFee();
+
+      const block = await mineInOrder([
+        { label: "mint", from: addr1, contract: token, method: "mintWithFee", args: [addr1.address, HUNDRED_TOKENS], value: fee },
+        { label: "raise", from: owner, contract: token, method: "setMintingFee", args: [fee * 10n] },
+      ]);
+
+      expectOutcomes(block, { mint: "success", raise: "success" });
+      const minted = block.outcome("mint").events.find((event) => event.name === "TokensMinted");
+      expect(minted.args).to.deep.equal([addr1.address, HUNDRED_TOKENS, fee]);
+      expect(await token.mintingFee()).to.equal(fee * 10n);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { expect } = require("chai");
+const { tokenFixture } = require("../helpers/fixtureBuilder");
+const {
+  generateSequence,
+  runSequence,
+  shrinkSequence,
+  fuzzInvariants,
+} = require("../helpers/fuzz");
+
+describe("MyToken - Invariant Tests @REQ-MAX-SUPPLY @REQ-EDGE", function () {
+  const fuzzScenario = tokenFixture()
+    .withBalances({ addr1: "10000", addr2: "10000", addr3: "10000" })
+    .build("fuzzScenario");
+
+  const seed = process.env.FUZZ_SEED
+    ? Number(process.env.FUZZ_SEED)
+    : Math.floor(Math.random() * 2 ** 31);
+  const runs = Number(process.env.FUZZ_RUNS || 20);
+  const depth = Number(process.env.FUZZ_DEPTH || 30);
+
+  describe("Harness", function () {
+    it("Should generate identical sequences for identical seeds", async function () {
+      expect(generateSequence(42, 25)).to.deep.equal(generateSequence(42, 25));
+      expect(generateSequence(42, 25)).to.not.deep.equal(generateSequence(43, 25));
+    });
+
+    it("Should shrink a failing sequence to a minimal reproduction", async function () {
+      // Toy invariant that breaks as soon as addr4 holds any tokens
+      const addr4HoldsNothing = {
+        name: "addr4 holds nothing",
+        async check({ token, accounts }) {
+          const balance = await token.balanceOf(accounts.addr4.address);
+          return balance === 0n ? null : `addr4 balance ${balance}`;
+        },
+      };
+
+      const actions = [
+        { type: "increaseTime", seconds: 3600 },
+        { type: "pause", actor: "owner" },
+        { type: "transfer", actor: "addr1", to: "addr2", pct: 50 },
+        { type: "unpause", actor: "owner" },
+        { type: "approve", actor: "addr2", spender: "addr3", pct: 100 },
+        { type: "transfer", actor: "owner", to: "addr4", pct: 1 },
+        { type: "burn", actor: "addr1", pct: 50 },
+      ];
+
+      const failure = await runSequence(fuzzScenario, actions, [addr4HoldsNothing]);
+      expect(failure.step).to.equal(5);
+
+      const shrunk = await shrinkSequence(fuzzScenario, actions, failure, [addr4HoldsNothing]);
+      expect(shrunk.actions).to.deep.equal([
+        { type: "transfer", actor: "owner", to: "addr4", pct: 1 },
+      ]);
+    });
+  });
+
+  describe("Random Action Sequences", function () {
+    it(`Should preserve supply and ETH invariants (seed ${seed})`, async function () {
+      this.timeout(0);
+
+      await fuzzInvariants(fuzzScenario, { seed, runs, depth });
+    });
+  });
+});
@@ -0,0 +1,6 @@
+const path = require("path");
+const { describeScenarios } = require("../helpers/scenarioRunner");
+
+describe("MyToken - Scenario Tests @REQ-MULTI-USER", function () {
+  describeScenarios(path.join(__dirname, "..", "scenarios"));
+});
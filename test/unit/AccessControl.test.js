@@ -0,0 +1,28 @@
+const { ethers } = require("hardhat");
+const { deployTokenFixture } = require("../helpers/fixtures");
+const { describeAccessControl } = require("../helpers/accessControl");
+const { THOUSAND_TOKENS, ONE_ETHER } = require("../helpers/constants");
+
+// Owner-only functions with sample arguments and any state they need first
+const OWNER_ONLY = {
+  mint: { args: ({ addr1 }) => [addr1.address, THOUSAND_TOKENS] },
+  pause: {},
+  unpause: { setup: ({ token }) => token.pause() },
+  setBlacklist: { args: ({ addr1 }) => [addr1.address, true] },
+  setMintingFee: { args: () => [ethers.parseEther("0.01")] },
+  emergencyWithdraw: {
+    setup: async ({ token, owner }) => owner.sendTransaction({ to: await token.getAddress(), value: ONE_ETHER }),
+  },
+  transferOwnership: { args: ({ addr1 }) => [addr1.address] },
+  renounceOwnership: {},
+};
+
+// Functions any account may call
+const UNRESTRICTED = ["approve", "burn", "mintWithFee", "transfer", "transferFrom"];
+
+describeAccessControl("MyToken", deployTokenFixture, {
+  ownerOnly: OWNER_ONLY,
+  unrestricted: UNRESTRICTED,
+  nonOwners: ["addr1", "addr2", "addr3", "addr4", "addr5"],
+  tags: "@REQ-ACCESS",
+});
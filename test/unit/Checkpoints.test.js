@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployTokenFixture } = require("../helpers/fixtures");
+const { Errors, expectRevert } = require("../helpers/errors");
+const { HUNDRED_TOKENS } = require("../helpers/constants");
+const { checkpoint, checkpointNames, revertTo, withCheckpoint } = require("../helpers/checkpoints");
+
+describe("Checkpoints", function () {
+  it("Should revert to a named checkpoint more than once", async function () {
+    const { token, addr1 } = await loadFixture(deployTokenFixture);
+    await checkpoint("start");
+
+    await token.transfer(addr1.address, HUNDRED_TOKENS);
+    await revertTo("start");
+    expect(await token.balanceOf(addr1.address)).to.equal(0n);
+
+    await token.transfer(addr1.address, HUNDRED_TOKENS * 2n);
+    await revertTo("start");
+    expect(await token.balanceOf(addr1.address)).to.equal(0n);
+  });
+
+  it("Should drop checkpoints taken after the one reverted to", async function () {
+    const { token, addr1 } = await loadFixture(deployTokenFixture);
+    await checkpoint("start");
+    await token.transfer(addr1.address, HUNDRED_TOKENS);
+    await checkpoint("funded");
+
+    await revertTo("start");
+
+    expect(checkpointNames()).to.deep.equal(["start"]);
+    await expect(revertTo("funded")).to.be.rejectedWith('Unknown checkpoint "funded"');
+  });
+
+  it("Should restore nested blocks in order and return their results", async function () {
+    const { token, addr1 } = await loadFixture(deployTokenFixture);
+
+    const outer = await withCheckpoint("funded", async () => {
+      await token.transfer(addr1.address, HUNDRED_TOKENS);
+
+      const inner = await withCheckpoint("paused", async () => {
+        await token.pause();
+        await expectRevert(token.transfer(addr1.address, HUNDRED_TOKENS), Errors.EnforcedPause);
+        return token.paused();
+      });
+
+      expect(inner).to.be.true;
+      expect(await token.paused()).to.be.false;
+      return token.balanceOf(addr1.address);
+    });
+
+    expect(outer).to.equal(HUNDRED_TOKENS);
+    expect(await token.balanceOf(addr1.address)).to.equal(0n);
+  });
+
+  it("Should restore the chain when a block throws", async function () {
+    const { token } = await loadFixture(deployTokenFixture);
+
+    await expect(
+      withCheckpoint(async () => {
+        await token.pause();
+        throw new Error("branch failed");
+      })
+    ).to.be.rejectedWith("branch failed");
+
+    expect(await token.paused()).to.be.false;
+  });
+
+  it("Should not revert past an open block", async function () {
+    await loadFixture(deployTokenFixture);
+    await checkpoint("outside");
+
+    await withCheckpoint(async () => {
+      await expect(revertTo("outside")).to.be.rejectedWith("from inside a withCheckpoint block");
+    });
+  });
+
+  describe("Fixtures Loaded Inside a Block", function () {
+    // Loaded first inside withCheckpoint, so its snapshot is taken after the checkpoint
+    async function deployedInsideBlockFixture() {
+      const MyToken = await ethers.getContractFactory("MyToken");
+      const token = await MyToken.deploy("Inside", "INS", HUNDRED_TOKENS);
+      return { token };
+    }
+
+    it("Should load a fixture for the first time inside a block", async function () {
+      await loadFixture(deployTokenFixture);
+
+      const symbol = await withCheckpoint(async () => {
+        const { token } = await loadFixture(deployedInsideBlockFixture);
+        return token.symbol();
+      });
+
+      expect(symbol).to.equal("INS");
+    });
+
+    it("Should load that fixture again in the next test", async function () {
+      const { token } = await loadFixture(deployedInsideBlockFixture);
+
+      expect(await token.totalSupply()).to.equal(HUNDRED_TOKENS);
+      expect((await loadFixture(deployTokenFixture)).token).to.exist;
+    });
+  });
+
+  describe("Cleanup", function () {
+    it("Should leave a checkpoint behind", async function () {
+      await loadFixture(deployTokenFixture);
+      await checkpoint("leaked");
+      expect(checkpointNames()).to.deep.equal(["leaked"]);
+    });
+
+    it("Should forget checkpoints from the previous test", async function () {
+      expect(checkpointNames()).to.be.empty;
+      await expect(revertTo("leaked")).to.be.rejectedWith('Unknown checkpoint "leaked"');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { artifacts, ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const constants = require("../helpers/constants");
+const { Errors } = require("../helpers/errors");
+const { deployTokenFixture } = require("../helpers/fixtures");
+const {
+  readPublicConstants,
+  buildAbiConstants,
+  renderConstantsModule,
+  findStaleReferences,
+} = require("../helpers/abiConstants");
+
+describe("Constants", function () {
+  const GENERATED_FILE = path.join(__dirname, "..", "helpers", "generated", "MyToken.js");
+
+  let artifact;
+
+  before(async function () {
+    artifact = await artifacts.readArtifact("MyToken");
+  });
+
+  it("Should only reference errors and events MyToken declares", async function () {
+    const stale = findStaleReferences(constants, artifact.abi);
+    
+    expect(stale, `Stale entries in constants.js:\n  ${stale.join("\n  ")}`).to.be.empty;
+  });
+
+  it("Should list every MyToken error in a constants table", async function () {
+    const { ERRORS } = buildAbiConstants(artifact.abi);
+    const listed = new Set(
+      Object.entries(constants)
+        .filter(([table]) => table.endsWith("_ERRORS"))
+        .flatMap(([, table]) => Object.values(table))
+    );
+    
+    const missing = Object.values(ERRORS).filter((name) => !listed.has(name));
+    expect(missing, `Errors missing from constants.js: ${missing.join(", ")}`).to.be.empty;
+  });
+
+  it("Should list every MyToken event in MYTOKEN_EVENTS", async function () {
+    const { EVENTS } = buildAbiConstants(artifact.abi);
+    const listed = new Set(Object.values(constants.MYTOKEN_EVENTS));
+    
+    const missing = Object.values(EVENTS).filter((name) => !listed.has(name));
+    expect(missing, `Events missing from constants.js: ${missing.join(", ")}`).to.be.empty;
+  });
+
+  it("Should report events MyToken doesn't declare", async function () {
+    const edited = { MYTOKEN_EVENTS: { ...constants.MYTOKEN_EVENTS, FEE_COLLECTED: "FeeCollected" } };
+    
+    expect(findStaleReferences(edited, artifact.abi)).to.deep.equal(['MYTOKEN_EVENTS.FEE_COLLECTED = "FeeCollected"']);
+  });
+
+  it("Should give every typed error the signature from the compiled artifact", async function () {
+    const declared = new Map(
+      artifact.abi
+        .filter((fragment) => fragment.type === "error")
+        .map((fragment) => [fragment.name, ethers.ErrorFragment.from(fragment).format("sighash")])
+    );
+
+    const mismatched = Object.values(Errors)
+      .filter((error) => error.kind === "custom")
+      .filter((error) => declared.get(error.name) !== error.fragment.format("sighash"))
+      .map((error) => `${error.name}: ${error.fragment.format("sighash")}`);
+    expect(mismatched, `Errors whose signature differs from the artifact:\n  ${mismatched.join("\n  ")}`).to.be.empty;
+  });
+
+  it("Should match the generated constants for the compiled artifact", async function () {
+    const { token } = await loadFixture(deployTokenFixture);
+    
+    const expected = renderConstantsModule(
+      "MyToken",
+      buildAbiConstants(artifact.abi, await readPublicConstants(token))
+    );
+    
+    expect(
+      fs.readFileSync(GENERATED_FILE, "utf8"),
+      "test/helpers/generated/MyToken.js is out of date; run `npx hardhat run scripts/generate-constants.js`"
+    ).to.equal(expected);
+  });
+});
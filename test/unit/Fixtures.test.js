@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { loadFixture, takeSnapshot, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const sharedFixtures = require("../helpers/fixtures");
+const { tokenFixture } = require("../helpers/fixtureBuilder");
+const { findDuplicateFixtures, fixtureReport, useFixture } = require("../helpers/fixtureRegistry");
+const {
+  CACHE_DIR,
+  captureState,
+  loadCachedFixture,
+  restoreState,
+  startCapture,
+} = require("../helpers/fixtureCache");
+
+describe("Fixtures", function () {
+  const TEST_DIR = path.join(__dirname, "..");
+
+  it("Should not redefine shared fixtures in test files", async function () {
+    const duplicates = findDuplicateFixtures(TEST_DIR, Object.keys(sharedFixtures));
+    const listed = duplicates.map(({ file, line, name }) => `${file}:${line} ${name}`);
+
+    expect(listed, `Import these from test/helpers/fixtures.js instead:\n  ${listed.join("\n  ")}`).to.be.empty;
+  });
+
+  it("Should build child fixtures on their parent's state", async function () {
+    const { token, addr1, distributions, initialSupply } = await useFixture("distribution");
+
+    expect(await token.balanceOf(addr1.address)).to.equal(distributions.addr1);
+    expect(await token.totalSupply()).to.equal(initialSupply);
+  });
+
+  it("Should set each fixture up once and restore its snapshot afterwards", async function () {
+    const runs = () => fixtureReport().find((row) => row.name === "blacklist").runs;
+
+    const { token, addr1 } = await loadFixture(sharedFixtures.deployTokenWithBlacklistFixture);
+    const runsAfterFirstLoad = runs();
+    await token.transfer(addr1.address, ethers.parseEther("1"));
+
+    await loadFixture(sharedFixtures.deployTokenWithBlacklistFixture);
+    expect(runs()).to.equal(runsAfterFirstLoad);
+    expect(await token.balanceOf(addr1.address)).to.equal(0n);
+  });
+
+  it("Should restore a captured change onto the state it started from", async function () {
+    const { token, owner, addr1, addr2 } = await loadFixture(sharedFixtures.deployTokenFixture);
+    const capture = await startCapture();
+    await token.transfer(addr1.address, ethers.parseEther("100"));
+    await token.connect(addr1).approve(addr2.address, ethers.parseEther("40"));
+    await token.pause();
+    const state = await captureState(capture);
+    const ownerBalance = await token.balanceOf(owner.address);
+
+    await loadFixture(sharedFixtures.deployTokenFixture);
+    expect(await token.paused()).to.be.false;
+
+    await restoreState(state);
+    expect(await token.balanceOf(owner.address)).to.equal(ownerBalance);
+    expect(await token.balanceOf(addr1.address)).to.equal(ethers.parseEther("100"));
+    expect(await token.allowance(addr1.address, addr2.address)).to.equal(ethers.parseEther("40"));
+    expect(await token.paused()).to.be.true;
+    expect(state.accounts[await token.getAddress()].created).to.be.false;
+  });
+
+  describe("Fixture Builder", function () {
+    it("Should keep each withFeesCollected call's amount for its own minters", async function () {
+      const fixture = tokenFixture()
+        .withFeesCollected(["addr1", "addr2"], "500")
+        .withFeesCollected(["addr3"], "2000")
+        .build("chainedFeeMints");
+
+      const { token, addr1, addr2, addr3, initialSupply, state } = await loadFixture(fixture);
+
+      expect(state.addr1Balance).to.equal(ethers.parseEther("500"));
+      expect(state.addr2Balance).to.equal(ethers.parseEther("500"));
+      expect(state.addr3Balance).to.equal(ethers.parseEther("2000"));
+      expect(state.totalSupply).to.equal(initialSupply + ethers.parseEther("3000"));
+      expect(state.contractEthBalance).to.equal((await token.mintingFee()) * 3n);
+      expect(await token.balanceOf(addr1.address)).to.equal(await token.balanceOf(addr2.address));
+      expect(await token.canMint(addr3.address)).to.be.false;
+    });
+
+    it("Should return the same fixture for the same spec", async function () {
+      const build = () => tokenFixture().withBalances({ addr1: "10" }).withFeesCollected(1, "5").build();
+
+      expect(build()).to.equal(build());
+      expect(build()).not.to.equal(tokenFixture().withBalances({ addr1: "10" }).withFeesCollected(1, "6").build());
+    });
+  });
+
+  describe("Persisted Fixtures", function () {
+    const PREFIX = "fixtures-test-";
+    const AMOUNT = ethers.parseEther("10");
+    let runs;
+
+    const removeCacheFiles = () => {
+      if (!fs.existsSync(CACHE_DIR)) return;
+      for (const file of fs.readdirSync(CACHE_DIR).filter((name) => name.startsWith(PREFIX))) {
+        fs.unlinkSync(path.join(CACHE_DIR, file));
+      }
+    };
+
+    async function deployAndFund() {
+      runs++;
+      const [, addr1] = await ethers.getSigners();
+      const MyToken = await ethers.getContractFactory("MyToken");
+      const token = await MyToken.deploy("Cached", "CCH", ethers.parseEther("1000"));
+      await token.transfer(addr1.address, AMOUNT);
+      return { token, amount: AMOUNT };
+    }
+
+    // Runs the setup once to write the cache file, then rewinds the chain to before it
+    async function cacheOnce(name, setup) {
+      const before = await takeSnapshot();
+      const first = await loadCachedFixture(PREFIX + name, setup.toString(), setup);
+      expect(first.restored).to.be.false;
+      const address = await first.result.token.getAddress();
+      await before.restore();
+      return address;
+    }
+
+    beforeEach(function () {
+      if (process.env.FIXTURE_CACHE === "false") this.skip();
+      runs = 0;
+      removeCacheFiles();
+    });
+
+    after(removeCacheFiles);
+
+    it("Should restore a persisted fixture in place of its setup", async function () {
+      const { addr1 } = await loadFixture(sharedFixtures.deployTokenFixture);
+      const address = await cacheOnce("restore", deployAndFund);
+
+      const { result, restored } = await loadCachedFixture(PREFIX + "restore", deployAndFund.toString(), deployAndFund);
+
+      expect(restored).to.be.true;
+      expect(runs).to.equal(1);
+      expect(await result.token.getAddress()).to.equal(address);
+      expect(result.amount).to.equal(AMOUNT);
+      expect(await result.token.name()).to.equal("Cached");
+      expect(await result.token.balanceOf(addr1.address)).to.equal(AMOUNT);
+      expect(await result.token.totalSupply()).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should run the setup when a cached contract's address is already in use", async function () {
+      const { owner, addr1 } = await loadFixture(sharedFixtures.deployTokenFixture);
+      const address = await cacheOnce("conflict", deployAndFund);
+
+      // Same deployer and nonce, so this lands on the cached address with other balances
+      const MyToken = await ethers.getContractFactory("MyToken");
+      const occupant = await MyToken.deploy("Occupant", "OCC", ethers.parseEther("5"));
+      expect(await occupant.getAddress()).to.equal(address);
+
+      const { result, restored } = await loadCachedFixture(PREFIX + "conflict", deployAndFund.toString(), deployAndFund);
+
+      expect(restored).to.be.false;
+      expect(runs).to.equal(2);
+      expect(await result.token.getAddress()).to.not.equal(address);
+      expect(await result.token.balanceOf(addr1.address)).to.equal(AMOUNT);
+      expect(await occupant.balanceOf(owner.address)).to.equal(ethers.parseEther("5"));
+    });
+
+    const deployAndMint = async () => {
+      const fixture = await deployAndFund();
+      const [, addr1] = await ethers.getSigners();
+      const fee = await fixture.token.mintingFee();
+      await fixture.token.connect(addr1).mintWithFee(addr1.address, AMOUNT, { value: fee });
+      return fixture;
+    };
+
+    const savedBlock = (name) => {
+      const file = fs.readdirSync(CACHE_DIR).find((entry) => entry.startsWith(`${PREFIX}${name}-`));
+      return JSON.parse(fs.readFileSync(path.join(CACHE_DIR, file), "utf8")).state.block;
+    };
+
+    it("Should move the chain forward to the block a time-dependent setup ended at", async function () {
+      const { addr1 } = await loadFixture(sharedFixtures.deployTokenFixture);
+      await cacheOnce("time", deployAndMint);
+      const saved = savedBlock("time");
+
+      const { result, restored } = await loadCachedFixture(PREFIX + "time", deployAndMint.toString(), deployAndMint);
+      const latest = await ethers.provider.getBlock("latest");
+
+      expect(restored).to.be.true;
+      expect(runs).to.equal(1);
+      expect({ number: latest.number, timestamp: latest.timestamp }).to.deep.equal(saved);
+      expect(await result.token.canMint(addr1.address)).to.be.false;
+      expect(await result.token.lastMintTime(addr1.address)).to.equal(saved.timestamp);
+    });
+
+    it("Should run the setup when the chain is past the saved block time", async function () {
+      const { addr1 } = await loadFixture(sharedFixtures.deployTokenFixture);
+      await cacheOnce("late", deployAndMint);
+      const saved = savedBlock("late");
+      await time.increaseTo(saved.timestamp + 1);
+
+      const { result, restored } = await loadCachedFixture(PREFIX + "late", deployAndMint.toString(), deployAndMint);
+
+      expect(restored).to.be.false;
+      expect(runs).to.equal(2);
+      expect(await result.token.canMint(addr1.address)).to.be.false;
+      expect(savedBlock("late").timestamp).to.be.greaterThan(saved.timestamp);
+    });
+  });
+});
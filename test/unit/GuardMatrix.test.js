@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { tokenFixture } = require("../helpers/fixtureBuilder");
+const { Errors, expectRevert } = require("../helpers/errors");
+const { HUNDRED_TOKENS } = require("../helpers/constants");
+
+describe("MyToken - Pause and Blacklist Guard Matrix @REQ-PAUSE @REQ-BLACKLIST", function () {
+  // addr1 holds tokens and has approved addr3; addr2 receives
+  const guardFixture = tokenFixture()
+    .withBalances({ addr1: "10000" })
+    .withApprovals([{ from: "addr1", spender: "addr3", amount: "1000" }])
+    .build("guardMatrix");
+
+  const OK = null;
+  const PAUSED = { error: Errors.EnforcedPause };
+  const blacklisted = (role) => ({ error: Errors.AccountBlacklisted, role });
+
+  /**
+   * Every state-changing token entry point, the signer playing each role and
+   * the expected outcome under each condition. Conditions are "none",
+   * "paused" and one per role, meaning that role's account is blacklisted.
+   * "caller" is msg.sender where it differs from the other roles.
+   */
+  const ENTRY_POINTS = {
+    transfer: {
+      roles: { sender: "addr1", recipient: "addr2" },
+      call: ({ token, sender, recipient }) => token.connect(sender).transfer(recipient.address, HUNDRED_TOKENS),
+      expected: {
+        none: OK,
+        paused: PAUSED,
+        sender: blacklisted("sender"),
+        recipient: blacklisted("recipient"),
+      },
+    },
+
+    transferFrom: {
+      roles: { sender: "addr1", recipient: "addr2", spender: "addr3" },
+      call: ({ token, sender, recipient, spender }) =>
+        token.connect(spender).transferFrom(sender.address, recipient.address, HUNDRED_TOKENS),
+      expected: {
+        none: OK,
+        paused: PAUSED,
+        sender: blacklisted("sender"),
+        recipient: blacklisted("recipient"),
+        spender: OK, // _update only checks from and to
+      },
+    },
+
+    mint: {
+      roles: { caller: "owner", recipient: "addr2" },
+      call: ({ token, caller, recipient }) => token.connect(caller).mint(recipient.address, HUNDRED_TOKENS),
+      expected: {
+        none: OK,
+        paused: PAUSED, // the owner goes through _update like everyone else
+        caller: OK,
+        recipient: blacklisted("recipient"),
+      },
+    },
+
+    mintWithFee: {
+      roles: { caller: "addr3", recipient: "addr2" },
+      call: async ({ token, caller, recipient }) =>
+        token.connect(caller).mintWithFee(recipient.address, HUNDRED_TOKENS, { value: await token.mintingFee() }),
+      expected: {
+        none: OK,
+        paused: PAUSED,
+        caller: OK, // only the recipient is checked
+        recipient: blacklisted("recipient"),
+      },
+    },
+
+    burn: {
+      roles: { sender: "addr1" },
+      call: ({ token, sender }) => token.connect(sender).burn(HUNDRED_TOKENS),
+      expected: {
+        none: OK,
+        paused: PAUSED,
+        sender: blacklisted("sender"),
+      },
+    },
+
+    approve: {
+      roles: { sender: "addr1", spender: "addr3" },
+      call: ({ token, sender, spender }) => token.connect(sender).approve(spender.address, HUNDRED_TOKENS),
+      expected: {
+        none: OK,
+        paused: OK, // approvals don't move tokens, so neither guard applies
+        sender: OK,
+        spender: OK,
+      },
+    },
+  };
+
+  function describeOutcome(outcome) {
+    if (outcome === OK) return "succeed";
+    return outcome.role ? `revert with ${outcome.error.name}(${outcome.role})` : `revert with ${outcome.error.name}`;
+  }
+
+  function describeCondition(condition) {
+    if (condition === "none") return "unrestricted";
+    if (condition === "paused") return "paused";
+    return `the ${condition} is blacklisted`;
+  }
+
+  for (const [entryPoint, { roles, call, expected }] of Object.entries(ENTRY_POINTS)) {
+    describe(entryPoint, function () {
+      const conditions = ["none", "paused", ...Object.keys(roles)];
+      const missing = conditions.filter((condition) => !(condition in expected));
+      if (missing.length > 0) {
+        throw new Error(`No expected outcome for ${entryPoint} when: ${missing.join(", ")}`);
+      }
+
+      for (const condition of conditions) {
+        const outcome = expected[condition];
+
+        it(`Should ${describeOutcome(outcome)} when ${describeCondition(condition)}`, async function () {
+          const fixture = await loadFixture(guardFixture);
+          const accounts = Object.fromEntries(
+            Object.entries(roles).map(([role, name]) => [role, fixture[name]])
+          );
+
+          if (condition === "paused") {
+            await fixture.token.pause();
+          } else if (condition !== "none") {
+            await fixture.token.setBlacklist(accounts[condition].address, true);
+          }
+
+          const tx = call({ token: fixture.token, ...accounts });
+
+          if (outcome === OK) {
+            await expect(tx).not.to.be.reverted;
+          } else if (outcome.role) {
+            await expectRevert(tx, outcome.error, { account: accounts[outcome.role].address });
+          } else {
+            await expectRevert(tx, outcome.error);
+          }
+        });
+      }
+    });
+  }
+});
@@ -0,0 +1,100 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MUTATION_OPERATORS, findCoveringTests, generateMutants } = require("../../scripts/mutate");
+
+describe("Mutation Testing", function () {
+  const SOURCE = [
+    "pragma solidity ^0.8.20;",
+    "contract Sample {",
+    "    uint256 public constant LIMIT = 1_000;",
+    "    // a < b in a comment is not mutated",
+    "    function setLimit(uint256 value) external onlyOwner whenNotPaused {",
+    "        if (value >= LIMIT) revert();",
+    "        emit LimitSet(value);",
+    "    }",
+    "}",
+  ].join("\n");
+
+  describe("generateMutants", function () {
+    it("Should produce one mutant per operator match, in line order", async function () {
+      const mutants = generateMutants(SOURCE);
+
+      expect(mutants.map(({ line, operator, description }) => `${line} ${operator} ${description}`)).to.deep.equal([
+        "3 constant 1_000 -> 2000",
+        "5 modifier remove onlyOwner",
+        "5 modifier remove whenNotPaused",
+        "6 comparison >= -> >",
+        "7 emit drop emit LimitSet",
+      ]);
+      expect(mutants.map((mutant) => mutant.id)).to.deep.equal([1, 2, 3, 4, 5]);
+    });
+
+    it("Should change only the mutated line and name its function", async function () {
+      const [, , , comparison] = generateMutants(SOURCE);
+      const original = SOURCE.split("\n");
+      const mutated = comparison.source.split("\n");
+
+      expect(comparison.target).to.equal("setLimit");
+      expect(mutated[5]).to.equal("        if (value > LIMIT) revert();");
+      expect(mutated.filter((line, i) => line !== original[i])).to.have.lengthOf(1);
+    });
+
+    it("Should apply only the selected operators", async function () {
+      const mutants = generateMutants(SOURCE, ["emit"]);
+
+      expect(mutants).to.have.lengthOf(1);
+      expect(mutants[0].mutated).to.equal("");
+      expect(MUTATION_OPERATORS).to.include.members(["comparison", "modifier", "emit", "constant"]);
+    });
+
+    it("Should mutate every operator on the real contract", async function () {
+      const source = fs.readFileSync(path.join(__dirname, "..", "..", "contracts", "MyToken.sol"), "utf8");
+      const operators = new Set(generateMutants(source).map((mutant) => mutant.operator));
+
+      expect([...operators].sort()).to.deep.equal([...MUTATION_OPERATORS].sort());
+    });
+  });
+
+  describe("findCoveringTests", function () {
+    let dir;
+    let file;
+
+    before(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "mutate-"));
+      file = path.join(dir, "Sample.test.js");
+      fs.writeFileSync(file, [
+        'describe("Sample", function () {',
+        '  it("Should set the limit", async function () {',
+        "    await sample.setLimit(5);",
+        "  });",
+        '  it("Should transfer", async function () {',
+        "    await token.transfer(addr1.address, 1);",
+        "  });",
+        "});",
+      ].join("\n"));
+    });
+
+    after(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should list tests whose body calls the mutated function", async function () {
+      const covering = findCoveringTests("setLimit", [file]);
+
+      expect(covering).to.have.lengthOf(1);
+      expect(covering[0]).to.match(/Sample\.test\.js: Should set the limit$/);
+    });
+
+    it("Should map internal functions to the calls that reach them", async function () {
+      expect(findCoveringTests("_update", [file])).to.have.lengthOf(1);
+      expect(findCoveringTests("_update", [file])[0]).to.match(/Should transfer$/);
+    });
+
+    it("Should find nothing for code no test calls", async function () {
+      expect(findCoveringTests("burn", [file])).to.be.empty;
+      expect(findCoveringTests(null, [file])).to.be.empty;
+    });
+  });
+});
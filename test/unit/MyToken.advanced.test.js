@@ -1,20 +1,24 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  deployMintWithFeeAttackFixture,
+  deployEmergencyWithdrawAttackFixture,
+  getReentryAttempts,
+} = require("../helpers/attackers");
+const {
+  jumpBeforeCooldownEnd,
+  jumpToCooldownEnd,
+  atTimePoints,
+  expectCooldown,
+} = require("../helpers/time");
+const { Errors, expectRevert } = require("../helpers/errors");
+const { createEthLedger } = require("../helpers/ethLedger");
+const { mineInOrder } = require("../helpers/blockOrdering");
+const { deployTokenFixture } = require("../helpers/fixtures");
 
 describe("MyToken - Advanced Tests", function () {
-  // Fixture for deploying the contract
-  async function deployTokenFixture() {
-    const [owner, addr1, addr2, addr3] = await ethers.getSigners();
-    
-    const MyToken = await ethers.getContractFactory("MyToken");
-    const initialSupply = ethers.parseEther("1000000");
-    const token = await MyToken.deploy("MyToken", "MTK", initialSupply);
-    
-    return { token, owner, addr1, addr2, addr3, initialSupply };
-  }
-
-  describe("Access Control - Owner Functions", function () {
+  describe("Access Control - Owner Functions @REQ-ACCESS", function () {
     it("Should allow owner to mint tokens", async function () {
       const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
       
@@ -114,7 +118,7 @@ describe("MyToken - Advanced Tests", function () {
     });
   });
 
-  describe("Minting with Fee", function () {
+  describe("Minting with Fee @REQ-MINT @REQ-COOLDOWN", function () {
     it("Should allow anyone to mint with correct fee", async function () {
       const { token, addr1, addr2 } = await loadFixture(deployTokenFixture);
       
@@ -136,9 +140,55 @@ describe("MyToken - Advanced Tests", function () {
       const fee = await token.mintingFee();
       const insufficientFee = fee - 1n;
       
-      await expect(
-        token.connect(addr1).mintWithFee(addr2.address, mintAmount, { value: insufficientFee })
-      ).to.be.revertedWithCustomError(token, "InsufficientFee");
+      await expectRevert(
+        token.connect(addr1).mintWithFee(addr2.address, mintAmount, { value: insufficientFee }),
+        Errors.InsufficientFee,
+        { required: fee, provided: insufficientFee }
+      );
+    });
+
+    it("Should keep overpaid msg.value in the contract", async function () {
+      const { token, addr1, addr2 } = await loadFixture(deployTokenFixture);
+      
+      const fee = await token.mintingFee();
+      const overpayment = ethers.parseEther("0.25");
+      const ledger = await createEthLedger({ token, addr1, addr2 });
+      
+      await token.connect(addr1).mintWithFee(addr2.address, ethers.parseEther("1000"), { value: fee + overpayment });
+      
+      await ledger.expectEthFlows({ addr1: -(fee + overpayment), token: fee + overpayment });
+      expect(await ledger.totals()).to.include({ fee, overpayment });
+    });
+
+    it("Should attribute the fee set earlier in the same block", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(deployTokenFixture);
+      
+      const fee = (await token.mintingFee()) * 3n;
+      const overpayment = ethers.parseEther("0.25");
+      const ledger = await createEthLedger({ token, addr1, addr2 });
+      
+      await mineInOrder([
+        { label: "raise", from: owner, contract: token, method: "setMintingFee", args: [fee] },
+        { label: "mint", from: addr1, contract: token, method: "mintWithFee", args: [addr2.address, ethers.parseEther("1000")], value: fee + overpayment },
+      ]);
+      
+      await ledger.expectEthFlows({ addr1: -(fee + overpayment), token: fee + overpayment });
+      expect(await ledger.totals()).to.include({ fee, overpayment });
+    });
+
+    it("Should move no ETH besides gas when minting reverts", async function () {
+      const { token, addr1, addr2 } = await loadFixture(deployTokenFixture);
+      
+      const fee = await token.mintingFee();
+      const ledger = await createEthLedger({ token, addr1, addr2 });
+      
+      await expectRevert(
+        token.connect(addr1).mintWithFee(addr2.address, 0, { value: fee }),
+        Errors.InvalidAmount
+      );
+      
+      await ledger.expectEthFlows({});
+      expect((await ledger.flows()).addr1.gas).to.be.greaterThan(0n);
     });
 
     it("Should revert minting to zero address", async function () {
@@ -147,9 +197,10 @@ describe("MyToken - Advanced Tests", function () {
       const mintAmount = ethers.parseEther("1000");
       const fee = await token.mintingFee();
       
-      await expect(
-        token.connect(addr1).mintWithFee(ethers.ZeroAddress, mintAmount, { value: fee })
-      ).to.be.revertedWithCustomError(token, "InvalidAddress");
+      await expectRevert(
+        token.connect(addr1).mintWithFee(ethers.ZeroAddress, mintAmount, { value: fee }),
+        Errors.InvalidAddress
+      );
     });
 
     it("Should revert minting zero amount", async function () {
@@ -157,21 +208,24 @@ describe("MyToken - Advanced Tests", function () {
       
       const fee = await token.mintingFee();
       
-      await expect(
-        token.connect(addr1).mintWithFee(addr2.address, 0, { value: fee })
-      ).to.be.revertedWithCustomError(token, "InvalidAmount");
+      await expectRevert(
+        token.connect(addr1).mintWithFee(addr2.address, 0, { value: fee }),
+        Errors.InvalidAmount
+      );
     });
 
-    it("Should revert if exceeding max supply", async function () {
+    it("Should revert if exceeding max supply @REQ-MAX-SUPPLY", async function () {
       const { token, addr1, addr2 } = await loadFixture(deployTokenFixture);
       
       const remaining = await token.remainingSupply();
       const tooMuch = remaining + ethers.parseEther("1");
       const fee = await token.mintingFee();
       
-      await expect(
-        token.connect(addr1).mintWithFee(addr2.address, tooMuch, { value: fee })
-      ).to.be.revertedWithCustomError(token, "MaxSupplyExceeded");
+      await expectRevert(
+        token.connect(addr1).mintWithFee(addr2.address, tooMuch, { value: fee }),
+        Errors.MaxSupplyExceeded,
+        { requested: tooMuch, remaining }
+      );
     });
 
     it("Should enforce cooldown period", async function () {
@@ -182,11 +236,15 @@ describe("MyToken - Advanced Tests", function () {
       
       // First mint should succeed
       await token.connect(addr1).mintWithFee(addr2.address, mintAmount, { value: fee });
-      
-      // Immediate second mint should fail
-      await expect(
-        token.connect(addr1).mintWithFee(addr2.address, mintAmount, { value: fee })
-      ).to.be.revertedWithCustomError(token, "MintCooldownActive");
+      const mintedAt = await time.latest();
+      
+      // Immediate second mint should fail; pinned to one second after the first
+      await time.setNextBlockTimestamp(mintedAt + 1);
+      await expectRevert(
+        token.connect(addr1).mintWithFee(addr2.address, mintAmount, { value: fee }),
+        Errors.MintCooldownActive,
+        { timeRemaining: (await token.MINT_COOLDOWN()) - 1n }
+      );
     });
 
     it("Should allow minting after cooldown expires", async function () {
@@ -217,13 +275,15 @@ describe("MyToken - Advanced Tests", function () {
       const mintAmount = ethers.parseEther("1000");
       const fee = await token.mintingFee();
       
-      await expect(
-        token.connect(addr1).mintWithFee(addr2.address, mintAmount, { value: fee })
-      ).to.be.revertedWithCustomError(token, "AccountBlacklisted");
+      await expectRevert(
+        token.connect(addr1).mintWithFee(addr2.address, mintAmount, { value: fee }),
+        Errors.AccountBlacklisted,
+        { account: addr2.address }
+      );
     });
   });
 
-  describe("Burning", function () {
+  describe("Burning @REQ-BURN", function () {
     it("Should allow users to burn their tokens", async function () {
       const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
       
@@ -245,9 +305,7 @@ describe("MyToken - Advanced Tests", function () {
     it("Should revert when burning zero amount", async function () {
       const { token, addr1 } = await loadFixture(deployTokenFixture);
       
-      await expect(
-        token.connect(addr1).burn(0)
-      ).to.be.revertedWithCustomError(token, "InvalidAmount");
+      await expectRevert(token.connect(addr1).burn(0), Errors.InvalidAmount);
     });
 
     it("Should revert when burning more than balance", async function () {
@@ -255,9 +313,11 @@ describe("MyToken - Advanced Tests", function () {
       
       const burnAmount = ethers.parseEther("1000");
       
-      await expect(
-        token.connect(addr1).burn(burnAmount)
-      ).to.be.revertedWithCustomError(token, "InsufficientBalance");
+      await expectRevert(
+        token.connect(addr1).burn(burnAmount),
+        Errors.InsufficientBalance,
+        { requested: burnAmount, available: 0 }
+      );
     });
 
     it("Should update remaining supply after burning", async function () {
@@ -272,7 +332,7 @@ describe("MyToken - Advanced Tests", function () {
     });
   });
 
-  describe("Pausing Functionality", function () {
+  describe("Pausing Functionality @REQ-PAUSE", function () {
     it("Should prevent transfers when paused", async function () {
       const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
       
@@ -295,13 +355,12 @@ describe("MyToken - Advanced Tests", function () {
       ).to.be.revertedWithCustomError(token, "EnforcedPause");
     });
 
-    it("Should allow owner to mint even when paused", async function () {
+    it("Should prevent owner from minting when paused", async function () {
       const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
       
       await token.pause();
       
-      // Owner mint should still work (doesn't go through _update with whenNotPaused)
-      // Note: This depends on implementation - if mint also has whenNotPaused, this would fail
+      // mint has no pause check of its own, but _mint goes through _update's whenNotPaused
       await expect(
         token.mint(addr1.address, ethers.parseEther("1000"))
       ).to.be.revertedWithCustomError(token, "EnforcedPause");
@@ -319,15 +378,17 @@ describe("MyToken - Advanced Tests", function () {
     });
   });
 
-  describe("Blacklist Functionality", function () {
+  describe("Blacklist Functionality @REQ-BLACKLIST", function () {
     it("Should prevent blacklisted address from receiving tokens", async function () {
       const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
       
       await token.setBlacklist(addr1.address, true);
       
-      await expect(
-        token.transfer(addr1.address, ethers.parseEther("100"))
-      ).to.be.revertedWithCustomError(token, "AccountBlacklisted");
+      await expectRevert(
+        token.transfer(addr1.address, ethers.parseEther("100")),
+        Errors.AccountBlacklisted,
+        { account: addr1.address }
+      );
     });
 
     it("Should prevent blacklisted address from sending tokens", async function () {
@@ -339,9 +400,11 @@ describe("MyToken - Advanced Tests", function () {
       // Blacklist addr1
       await token.setBlacklist(addr1.address, true);
       
-      await expect(
-        token.connect(addr1).transfer(addr2.address, ethers.parseEther("50"))
-      ).to.be.revertedWithCustomError(token, "AccountBlacklisted");
+      await expectRevert(
+        token.connect(addr1).transfer(addr2.address, ethers.parseEther("50")),
+        Errors.AccountBlacklisted,
+        { account: addr1.address }
+      );
     });
 
     it("Should allow removing from blacklist", async function () {
@@ -368,28 +431,39 @@ describe("MyToken - Advanced Tests", function () {
     });
   });
 
-  describe("Emergency Withdraw", function () {
+  describe("Emergency Withdraw @REQ-ACCESS", function () {
     it("Should allow owner to withdraw collected fees", async function () {
       const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
       
+      const ledger = await createEthLedger({ token, owner, addr1 });
+      
       // Mint with fee to accumulate ETH
       const fee = await token.mintingFee();
       await token.connect(addr1).mintWithFee(addr1.address, ethers.parseEther("1000"), { value: fee });
       
-      const contractBalance = await ethers.provider.getBalance(await token.getAddress());
-      const ownerBalanceBefore = await ethers.provider.getBalance(owner.address);
+      await token.emergencyWithdraw();
+      
+      // The fee passes through the token to the owner; gas is accounted for
+      await ledger.expectEthFlows({ addr1: -fee, owner: fee });
+      expect(await ledger.totals()).to.include({ fee, withdrawal: fee });
+    });
+
+    it("Should withdraw overpayments and direct deposits along with fees", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(deployTokenFixture);
+      const fee = await token.mintingFee();
+      const overpayment = ethers.parseEther("0.5");
+      const deposit = ethers.parseEther("1");
+      
+      const ledger = await createEthLedger({ token, owner, addr1, addr2 });
+      await token.connect(addr1).mintWithFee(addr1.address, ethers.parseEther("1000"), { value: fee + overpayment });
+      await addr2.sendTransaction({ to: await token.getAddress(), value: deposit });
       
-      const tx = await token.emergencyWithdraw();
-      const receipt = await tx.wait();
-      const gasUsed = receipt.gasUsed * receipt.gasPrice;
+      await ledger.expectEthFlows({ addr1: -(fee + overpayment), addr2: -deposit, token: fee + overpayment + deposit });
       
-      const ownerBalanceAfter = await ethers.provider.getBalance(owner.address);
+      await token.emergencyWithdraw();
       
-      // Owner should receive contract balance minus gas
-      expect(ownerBalanceAfter).to.be.closeTo(
-        ownerBalanceBefore + contractBalance - gasUsed,
-        ethers.parseEther("0.001") // Small margin for gas price variations
-      );
+      await ledger.expectEthFlows({ addr1: -(fee + overpayment), addr2: -deposit, owner: fee + overpayment + deposit });
+      expect(await ledger.totals()).to.include({ fee, overpayment, deposit, withdrawal: fee + overpayment + deposit });
     });
 
     it("Should prevent non-owner from emergency withdraw", async function () {
@@ -420,7 +494,7 @@ describe("MyToken - Advanced Tests", function () {
     });
   });
 
-  describe("Edge Cases", function () {
+  describe("Edge Cases @REQ-EDGE", function () {
     it("Should handle maximum uint256 approval", async function () {
       const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
       
@@ -457,7 +531,7 @@ describe("MyToken - Advanced Tests", function () {
       expect(await token.blacklisted(addr3.address)).to.equal(true);
     });
 
-    it("Should track mint cooldowns for multiple users independently", async function () {
+    it("Should track mint cooldowns for multiple users independently @REQ-COOLDOWN", async function () {
       const { token, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
       
       const fee = await token.mintingFee();
@@ -486,70 +560,131 @@ describe("MyToken - Advanced Tests", function () {
       await token.connect(addr1).mintWithFee(addr1.address, amount, { value: fee });
       
       const cooldownDuration = await token.MINT_COOLDOWN();
-      const cooldownRemaining = await token.mintCooldownRemaining(addr1.address);
       
-      expect(cooldownRemaining).to.be.closeTo(cooldownDuration, 5); // Within 5 seconds
+      // Views run against the mint block itself
+      await expectCooldown(token, addr1, cooldownDuration);
       
       // Advance time partially
       await time.increase(12 * 3600); // 12 hours
       
-      const newCooldownRemaining = await token.mintCooldownRemaining(addr1.address);
-      expect(newCooldownRemaining).to.be.closeTo(cooldownDuration - BigInt(12 * 3600), 5);
+      await expectCooldown(token, addr1, cooldownDuration - BigInt(12 * 3600));
     });
-  });
 
-  describe("Reentrancy Protection", function () {
-    it("Should prevent reentrancy on mintWithFee", async function () {
-      // Note: This test would require a malicious contract to properly test
-      // For now, we verify the nonReentrant modifier is in place
+    it("Should report exact cooldown state around its end", async function () {
+      const { token, addr1 } = await loadFixture(deployTokenFixture);
+      
+      const fee = await token.mintingFee();
+      await token.connect(addr1).mintWithFee(addr1.address, ethers.parseEther("1000"), { value: fee });
+      
+      const lastMint = Number(await token.lastMintTime(addr1.address));
+      const cooldown = Number(await token.MINT_COOLDOWN());
+      
+      await atTimePoints([1, cooldown - 1, cooldown, cooldown + 1], async (timestamp) => {
+        await expectCooldown(token, addr1, Math.max(0, lastMint + cooldown - timestamp));
+      }, { start: lastMint });
+    });
+
+    it("Should block minting one second before cooldown ends", async function () {
       const { token, addr1 } = await loadFixture(deployTokenFixture);
       
       const fee = await token.mintingFee();
       const amount = ethers.parseEther("1000");
+      await token.connect(addr1).mintWithFee(addr1.address, amount, { value: fee });
+      
+      await jumpBeforeCooldownEnd(token, addr1, { forNextTx: true });
       
-      // Normal call should succeed
       await expect(
         token.connect(addr1).mintWithFee(addr1.address, amount, { value: fee })
-      ).to.not.be.reverted;
+      ).to.be.revertedWithCustomError(token, "MintCooldownActive")
+        .withArgs(1);
     });
 
-    it("Should prevent reentrancy on emergencyWithdraw", async function () {
+    it("Should allow minting exactly when cooldown ends", async function () {
       const { token, addr1 } = await loadFixture(deployTokenFixture);
       
       const fee = await token.mintingFee();
-      await token.connect(addr1).mintWithFee(addr1.address, ethers.parseEther("1000"), { value: fee });
+      const amount = ethers.parseEther("1000");
+      await token.connect(addr1).mintWithFee(addr1.address, amount, { value: fee });
+      
+      await jumpToCooldownEnd(token, addr1, 0, { forNextTx: true });
+      
+      await expect(
+        token.connect(addr1).mintWithFee(addr1.address, amount, { value: fee })
+      ).to.not.be.reverted;
+    });
+  });
+
+  describe("Reentrancy Protection @REQ-EDGE", function () {
+    it("Should prevent reentrancy on mintWithFee", async function () {
+      const { token, attacker, collectedFees } = await loadFixture(deployMintWithFeeAttackFixture);
+      
+      // emergencyWithdraw pays the attacker, whose receive() re-enters mintWithFee
+      const tx = await attacker.attack();
+      const [attempt] = await getReentryAttempts(token, attacker, tx);
       
-      // Normal call should succeed
-      await expect(token.emergencyWithdraw()).to.not.be.reverted;
+      expect(await attacker.reentryAttempts()).to.equal(1);
+      expect(attempt.succeeded).to.equal(false);
+      expect(attempt.error.name).to.equal("ReentrancyGuardReentrantCall");
+      
+      // No tokens minted and the fee was never paid back in
+      expect(await token.balanceOf(await attacker.getAddress())).to.equal(0);
+      expect(await ethers.provider.getBalance(await attacker.getAddress())).to.equal(collectedFees);
+      expect(await ethers.provider.getBalance(await token.getAddress())).to.equal(0);
+    });
+
+    it("Should prevent reentrancy on emergencyWithdraw", async function () {
+      const { token, attacker, collectedFees } = await loadFixture(deployEmergencyWithdrawAttackFixture);
+      
+      // emergencyWithdraw pays the attacker, whose receive() re-enters emergencyWithdraw
+      const tx = await attacker.attack();
+      const [attempt] = await getReentryAttempts(token, attacker, tx);
+      
+      expect(await attacker.reentryAttempts()).to.equal(1);
+      expect(attempt.succeeded).to.equal(false);
+      expect(attempt.error.name).to.equal("ReentrancyGuardReentrantCall");
+      
+      // Fees were paid out exactly once
+      await expect(tx).to.emit(token, "EmergencyWithdraw")
+        .withArgs(await attacker.getAddress(), collectedFees);
+      expect(await ethers.provider.getBalance(await attacker.getAddress())).to.equal(collectedFees);
+    });
+
+    it("Should revert the withdrawal when the reentrant revert bubbles up", async function () {
+      const { token, attacker, collectedFees } = await loadFixture(deployEmergencyWithdrawAttackFixture);
+      
+      await attacker.setBubbleReentryRevert(true);
+      
+      // The guard revert is swallowed by the low-level call in emergencyWithdraw
+      await expect(attacker.attack()).to.be.revertedWith("Transfer failed");
+      
+      expect(await ethers.provider.getBalance(await token.getAddress())).to.equal(collectedFees);
     });
   });
 
-  describe("Owner Mint Edge Cases", function () {
+  describe("Owner Mint Edge Cases @REQ-MINT @REQ-EDGE", function () {
     it("Should revert owner mint with zero amount", async function () {
       const { token, addr1 } = await loadFixture(deployTokenFixture);
       
-      await expect(
-        token.mint(addr1.address, 0)
-      ).to.be.revertedWithCustomError(token, "InvalidAmount");
+      await expectRevert(token.mint(addr1.address, 0), Errors.InvalidAmount);
     });
 
     it("Should revert owner mint to zero address", async function () {
       const { token } = await loadFixture(deployTokenFixture);
       
-      await expect(
-        token.mint(ethers.ZeroAddress, ethers.parseEther("1000"))
-      ).to.be.revertedWithCustomError(token, "InvalidAddress");
+      await expectRevert(token.mint(ethers.ZeroAddress, ethers.parseEther("1000")), Errors.InvalidAddress);
     });
 
-    it("Should revert owner mint exceeding max supply", async function () {
+    it("Should revert owner mint exceeding max supply @REQ-MAX-SUPPLY", async function () {
       const { token, addr1 } = await loadFixture(deployTokenFixture);
       
       const remaining = await token.remainingSupply();
       const tooMuch = remaining + ethers.parseEther("1");
       
-      await expect(
-        token.mint(addr1.address, tooMuch)
-      ).to.be.revertedWithCustomError(token, "MaxSupplyExceeded");
+      await expectRevert(
+        token.mint(addr1.address, tooMuch),
+        Errors.MaxSupplyExceeded,
+        { requested: tooMuch, remaining }
+      );
     });
   });
 });
@@ -0,0 +1,75 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployTokenFixture } = require("../helpers/fixtures");
+
+describe("Personas", function () {
+  const MODULE = require.resolve("../helpers/personas");
+
+  // A copy with its own state, as if no fixture had called personas() yet
+  function freshPersonas() {
+    const cached = require.cache[MODULE];
+    delete require.cache[MODULE];
+    try {
+      return require(MODULE);
+    } finally {
+      require.cache[MODULE] = cached;
+    }
+  }
+
+  it("Should look up personas before personas() has run", async function () {
+    const { personaOf } = freshPersonas();
+    const signers = await ethers.getSigners();
+
+    expect(personaOf(signers[4].address)).to.equal("attacker");
+    expect(personaOf(signers[6].address.toLowerCase())).to.equal("recipient");
+  });
+
+  it("Should not name addresses that aren't personas", async function () {
+    const { personaOf } = freshPersonas();
+    const signers = await ethers.getSigners();
+
+    expect(personaOf(signers[10].address)).to.be.undefined;
+    expect(personaOf(ethers.Wallet.createRandom().address)).to.be.undefined;
+  });
+
+  it("Should pin personas to the signers the fixtures use for those roles", async function () {
+    const { personas } = freshPersonas();
+    const { owner, addr1, addr2, addr3 } = await loadFixture(deployTokenFixture);
+
+    const { owner: ownerPersona, minter, blacklistedUser, spender } = await personas();
+
+    expect(ownerPersona.address).to.equal(owner.address);
+    expect(minter.address).to.equal(addr1.address);
+    expect(blacklistedUser.address).to.equal(addr2.address);
+    expect(spender.address).to.equal(addr3.address);
+  });
+
+  it("Should return a single persona and reject unknown names", async function () {
+    const { persona } = freshPersonas();
+    const signers = await ethers.getSigners();
+
+    expect((await persona("treasury")).address).to.equal(signers[5].address);
+    await expect(persona("auditor")).to.be.rejectedWith('Unknown persona "auditor"');
+  });
+
+  it("Should give a defined persona the next free signer", async function () {
+    const { definePersona, persona, personaOf } = freshPersonas();
+    const signers = await ethers.getSigners();
+
+    expect(definePersona("auditor")).to.equal(7);
+
+    expect((await persona("auditor")).address).to.equal(signers[7].address);
+    expect(personaOf(signers[7].address)).to.equal("auditor");
+    expect(() => definePersona("auditor")).to.throw('Persona "auditor" is already defined');
+  });
+
+  it("Should refuse personas beyond the network's accounts", async function () {
+    const { definePersona, personas } = freshPersonas();
+    const signers = await ethers.getSigners();
+
+    for (let i = 7; i <= signers.length; i++) definePersona(`extra${i}`);
+
+    await expect(personas()).to.be.rejectedWith(`needs signer #${signers.length}`);
+  });
+});
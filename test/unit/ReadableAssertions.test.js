@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployTokenFixture } = require("../helpers/fixtures");
+const { HUNDRED_TOKENS } = require("../helpers/constants");
+const {
+  formatAmount,
+  formatFailure,
+  formatMessage,
+  labelAddress,
+  refreshLabels,
+  registerToken,
+} = require("../helpers/readableAssertions");
+
+describe("Readable Assertions", function () {
+  function failureOf(assertion) {
+    try {
+      assertion();
+    } catch (error) {
+      return formatFailure(error);
+    }
+    throw new Error("The assertion passed");
+  }
+
+  async function twoTokensFixture() {
+    const fixture = await loadFixture(deployTokenFixture);
+    const MyToken = await ethers.getContractFactory("MyToken");
+    const other = await MyToken.deploy("Other", "OTH", ethers.parseEther("500"));
+    await registerToken(other, "other");
+    return { ...fixture, other };
+  }
+
+  it("Should label known addresses and leave unknown ones", async function () {
+    const { token } = await loadFixture(deployTokenFixture);
+    const stranger = ethers.Wallet.createRandom().address;
+    const vault = ethers.Wallet.createRandom().address;
+    await labelAddress(vault, "vault");
+
+    const message = formatMessage(`${await token.getAddress()} sent to ${vault}, not ${stranger}`);
+
+    expect(message).to.match(/^token \(0x[0-9a-fA-F]{4}…[0-9a-fA-F]{4}\) sent to vault \(0x/);
+    expect(message).to.include(`not ${stranger}`);
+  });
+
+  it("Should format amounts a token returned in that token's units", async function () {
+    const { token, other, owner } = await loadFixture(twoTokensFixture);
+    const balance = await token.balanceOf(owner.address);
+    const otherSupply = await other.totalSupply();
+
+    expect(formatMessage(`expected ${balance} and ${otherSupply}`)).to.equal("expected 1000000.0 MTK and 500.0 OTH");
+  });
+
+  it("Should leave ETH amounts and other long integers raw", async function () {
+    const { token, owner } = await loadFixture(deployTokenFixture);
+    await token.balanceOf(owner.address);
+    const ethBalance = await ethers.provider.getBalance(owner.address);
+
+    expect(formatMessage(`expected ${ethBalance} to equal 1000000000000000000`)).to.equal(
+      `expected ${ethBalance} to equal 1000000000000000000`
+    );
+  });
+
+  it("Should format changeTokenBalance messages in the named token's units", async function () {
+    await loadFixture(twoTokensFixture);
+
+    const message = formatMessage(
+      "Expected the balance of OTH tokens for \"0x0000000000000000000000000000000000000001\" to change by " +
+        "1000000000000000000, but it changed by 2500000000000000000"
+    );
+
+    expect(message).to.include("to change by 1.0 OTH, but it changed by 2.5 OTH");
+  });
+
+  it("Should add the delta in token units to a failed balance comparison", async function () {
+    const { token, addr1 } = await loadFixture(deployTokenFixture);
+    await token.transfer(addr1.address, HUNDRED_TOKENS);
+    const balance = await token.balanceOf(addr1.address);
+
+    const error = failureOf(() => expect(balance).to.equal(HUNDRED_TOKENS + 1n));
+
+    expect(error.message).to.include("expected: 100.000000000000000001 MTK");
+    expect(error.message).to.include("actual:   100.0 MTK");
+    expect(error.message).to.include("delta:    -0.000000000000000001 MTK");
+    expect(error.showDiff).to.be.false;
+  });
+
+  it("Should keep a failed ETH comparison raw with its delta", async function () {
+    const { addr1 } = await loadFixture(deployTokenFixture);
+    const ethBalance = await ethers.provider.getBalance(addr1.address);
+
+    const error = failureOf(() => expect(ethBalance).to.equal(ethBalance - 5n));
+
+    expect(error.message).to.include(`actual:   ${ethBalance}`);
+    expect(error.message).to.match(/delta: {4}\+5$/);
+    expect(error.message).not.to.include("MTK");
+  });
+
+  it("Should format amounts for an explicit token and leave unknown tokens raw", async function () {
+    const { token } = await loadFixture(deployTokenFixture);
+
+    expect(formatAmount(ethers.parseEther("1.5"), token)).to.equal("1.5 MTK");
+    expect(formatAmount(ethers.parseEther("1.5"), await token.getAddress())).to.equal("1.5 MTK");
+    expect(formatAmount(ethers.parseEther("1.5"))).to.equal("1500000000000000000");
+  });
+
+  it("Should not carry a label over to a contract redeployed at the same address", async function () {
+    const { other } = await loadFixture(twoTokensFixture);
+    const address = await other.getAddress();
+
+    // Back before `other` was deployed; the same deployer and nonce give a different token its address
+    const { token } = await loadFixture(deployTokenFixture);
+    const MyToken = await ethers.getContractFactory("MyToken");
+    const redeployed = await MyToken.deploy("Redeployed", "RDP", ethers.parseEther("500"));
+    expect(await redeployed.getAddress()).to.equal(address);
+    await refreshLabels();
+
+    expect(formatMessage(`sent to ${address}`)).to.equal(`sent to ${address}`);
+    expect(formatAmount(ethers.parseEther("1.5"), address)).to.equal("1500000000000000000");
+    expect(formatAmount(ethers.parseEther("1.5"), token)).to.equal("1.5 MTK");
+  });
+
+  it("Should go back to a fixture's labels when its snapshot is restored", async function () {
+    const { token, other, addr1 } = await loadFixture(twoTokensFixture);
+    await token.transfer(addr1.address, HUNDRED_TOKENS);
+    await labelAddress(other, "renamed");
+
+    await loadFixture(twoTokensFixture);
+    await refreshLabels();
+
+    expect(formatMessage(`sent to ${await other.getAddress()}`)).to.match(/^sent to other \(0x/);
+    expect(formatAmount(ethers.parseEther("1.5"), other)).to.equal("1.5 OTH");
+  });
+});
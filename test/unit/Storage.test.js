@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployTokenFixture, deployTokenNearMaxSupplyFixture } = require("../helpers/fixtures");
+const { Errors, expectRevert } = require("../helpers/errors");
+const { HUNDRED_TOKENS, THOUSAND_TOKENS, ONE_HOUR } = require("../helpers/constants");
+const {
+  STORAGE_LAYOUT,
+  balanceSlot,
+  createTokenStorage,
+  verifyStorageLayout,
+} = require("../helpers/storage");
+
+describe("MyToken - Storage Seeding Tests", function () {
+  describe("Layout", function () {
+    it("Should match the compiled storage layout", async function () {
+      // Fails with the hardhat.config.js hint when the build has no storageLayout output
+      await verifyStorageLayout();
+    });
+
+    it("Should read the deployed state from the expected slots", async function () {
+      const { token, owner, initialSupply } = await loadFixture(deployTokenFixture);
+      const storage = createTokenStorage(token);
+
+      expect(await storage.read(STORAGE_LAYOUT._totalSupply.slot)).to.equal(initialSupply);
+      expect(await storage.read(balanceSlot(owner.address))).to.equal(initialSupply);
+      expect(await storage.read(STORAGE_LAYOUT.mintingFee.slot)).to.equal(await token.mintingFee());
+      expect(await storage.read(STORAGE_LAYOUT._owner.slot)).to.equal(BigInt(owner.address));
+    });
+  });
+
+  describe("Seeding", function () {
+    it("Should seed balances and move total supply by the same amount", async function () {
+      const { token, addr1, initialSupply } = await loadFixture(deployTokenFixture);
+      const amount = ethers.parseEther("500000000");
+
+      await createTokenStorage(token).setBalance(addr1.address, amount);
+
+      expect(await token.balanceOf(addr1.address)).to.equal(amount);
+      expect(await token.totalSupply()).to.equal(initialSupply + amount);
+    });
+
+    it("Should seed allowances usable by transferFrom", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(deployTokenFixture);
+
+      await createTokenStorage(token).setAllowance(owner.address, addr1.address, THOUSAND_TOKENS);
+
+      expect(await token.allowance(owner.address, addr1.address)).to.equal(THOUSAND_TOKENS);
+      await token.connect(addr1).transferFrom(owner.address, addr2.address, HUNDRED_TOKENS);
+      expect(await token.allowance(owner.address, addr1.address)).to.equal(THOUSAND_TOKENS - HUNDRED_TOKENS);
+    });
+
+    it("Should seed the blacklist @REQ-BLACKLIST", async function () {
+      const { token, addr1 } = await loadFixture(deployTokenFixture);
+
+      await createTokenStorage(token).setBlacklisted(addr1.address);
+
+      expect(await token.blacklisted(addr1.address)).to.be.true;
+      await expectRevert(token.transfer(addr1.address, HUNDRED_TOKENS), Errors.AccountBlacklisted, {
+        account: addr1.address,
+      });
+    });
+
+    it("Should seed cooldown state without minting @REQ-COOLDOWN", async function () {
+      const { token, addr1 } = await loadFixture(deployTokenFixture);
+      const cooldown = await token.MINT_COOLDOWN();
+      const mintedAt = await time.latest();
+
+      await createTokenStorage(token).setLastMintTime(addr1.address, mintedAt);
+
+      expect(await token.canMint(addr1.address)).to.be.false;
+      await time.setNextBlockTimestamp(mintedAt + ONE_HOUR);
+      await expectRevert(
+        token.connect(addr1).mintWithFee(addr1.address, HUNDRED_TOKENS, { value: await token.mintingFee() }),
+        Errors.MintCooldownActive,
+        { timeRemaining: cooldown - BigInt(ONE_HOUR) }
+      );
+    });
+
+    it("Should seed the minting fee", async function () {
+      const { token, addr1 } = await loadFixture(deployTokenFixture);
+      const fee = ethers.parseEther("0.05");
+
+      await createTokenStorage(token).setMintingFee(fee);
+
+      expect(await token.mintingFee()).to.equal(fee);
+      await expectRevert(
+        token.connect(addr1).mintWithFee(addr1.address, HUNDRED_TOKENS, { value: fee - 1n }),
+        Errors.InsufficientFee,
+        { required: fee }
+      );
+    });
+
+    it("Should toggle paused without touching the owner @REQ-PAUSE", async function () {
+      const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
+      const storage = createTokenStorage(token);
+
+      await storage.setPaused(true);
+      expect(await token.paused()).to.be.true;
+      expect(await token.owner()).to.equal(owner.address);
+      await expectRevert(token.transfer(addr1.address, HUNDRED_TOKENS), Errors.EnforcedPause);
+
+      await storage.setPaused(false);
+      expect(await token.paused()).to.be.false;
+      expect(await token.owner()).to.equal(owner.address);
+    });
+
+    it("Should apply several writes with seed", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(deployTokenFixture);
+
+      await createTokenStorage(token).seed({
+        balances: { [addr1.address]: THOUSAND_TOKENS },
+        allowances: [{ owner: addr1.address, spender: addr2.address, amount: HUNDRED_TOKENS }],
+        blacklisted: [addr2.address],
+        mintingFee: 0n,
+        paused: true,
+      });
+
+      expect(await token.balanceOf(addr1.address)).to.equal(THOUSAND_TOKENS);
+      expect(await token.allowance(addr1.address, addr2.address)).to.equal(HUNDRED_TOKENS);
+      expect(await token.blacklisted(addr2.address)).to.be.true;
+      expect(await token.mintingFee()).to.equal(0n);
+      expect(await token.paused()).to.be.true;
+      expect(await token.owner()).to.equal(owner.address);
+    });
+  });
+
+  describe("Seeded Supply Cap @REQ-MAX-SUPPLY", function () {
+    it("Should enforce the cap on a seeded near-max supply", async function () {
+      const { token, addr1, maxSupply, remainingSupply } = await loadFixture(deployTokenNearMaxSupplyFixture);
+
+      expect(await token.totalSupply()).to.equal(maxSupply - remainingSupply);
+      expect(await token.remainingSupply()).to.equal(remainingSupply);
+
+      await expectRevert(token.mint(addr1.address, remainingSupply + 1n), Errors.MaxSupplyExceeded, {
+        remaining: remainingSupply,
+      });
+      await token.mint(addr1.address, remainingSupply);
+      expect(await token.totalSupply()).to.equal(maxSupply);
+    });
+  });
+});
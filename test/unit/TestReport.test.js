@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployTokenFixture } = require("../helpers/fixtures");
+const { HUNDRED_TOKENS } = require("../helpers/constants");
+const { describeSent, describeTransactions, renderJUnit, renderMarkdown, summarize } = require("../helpers/testReport");
+
+describe("Test Reports", function () {
+  async function sendParams(token, from, method, args) {
+    return [{
+      from: from.address,
+      to: await token.getAddress(),
+      data: token.interface.encodeFunctionData(method, args),
+      gas: ethers.toQuantity(200_000),
+    }];
+  }
+
+  describe("describeSent", function () {
+    it("Should describe a mined transaction from its hash", async function () {
+      const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
+      const params = await sendParams(token, owner, "transfer", [addr1.address, HUNDRED_TOKENS]);
+      const hash = await network.provider.send("eth_sendTransaction", params);
+
+      const sent = await describeSent("eth_sendTransaction", params, hash, null);
+
+      expect(sent).to.include({ hash, method: "transfer", status: "success" });
+      expect(ethers.getAddress(sent.from)).to.equal(owner.address);
+      expect(sent.gasUsed).to.be.greaterThan(0);
+    });
+
+    it("Should describe a reverted transaction from the hash in its error", async function () {
+      const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
+      await token.transfer(addr1.address, HUNDRED_TOKENS);
+      const params = await sendParams(token, addr1, "burn", [HUNDRED_TOKENS * 2n]);
+
+      const error = await network.provider.send("eth_sendTransaction", params).catch((e) => e);
+      const sent = await describeSent("eth_sendTransaction", params, null, error);
+
+      expect(error.transactionHash).to.be.a("string");
+      expect(sent).to.include({ hash: error.transactionHash, method: "burn", status: "reverted" });
+      expect(ethers.getAddress(sent.from)).to.equal(addr1.address);
+      expect(ethers.getAddress(sent.from)).to.not.equal(owner.address);
+    });
+
+    it("Should report sends without a hash as not mined instead of the previous transaction", async function () {
+      const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
+      await token.transfer(addr1.address, HUNDRED_TOKENS);
+      const params = await sendParams(token, addr1, "approve", [owner.address, HUNDRED_TOKENS]);
+
+      const sent = await describeSent("eth_sendTransaction", params, null, new Error("nonce too low"));
+
+      expect(sent).to.deep.equal({
+        hash: null,
+        from: addr1.address,
+        to: await token.getAddress(),
+        method: "approve",
+        gasUsed: null,
+        status: "not mined",
+      });
+    });
+  });
+
+  describe("describeTransactions", function () {
+    afterEach(async function () {
+      await network.provider.send("evm_setAutomine", [true]);
+    });
+
+    it("Should report the gas of transactions mined after they were sent", async function () {
+      const { token, owner, addr1, addr2 } = await loadFixture(deployTokenFixture);
+      await network.provider.send("evm_setAutomine", [false]);
+
+      const sends = [];
+      for (const to of [addr1, addr2]) {
+        const params = await sendParams(token, owner, "transfer", [to.address, HUNDRED_TOKENS]);
+        sends.push({ method: "eth_sendTransaction", params, result: await network.provider.send("eth_sendTransaction", params), error: null });
+      }
+      const [beforeMining] = await describeTransactions(sends.slice(0, 1));
+      await network.provider.send("evm_mine");
+
+      const transactions = await describeTransactions(sends);
+
+      expect(beforeMining).to.include({ status: "pending", gasUsed: null });
+      expect(transactions.map((tx) => tx.status)).to.deep.equal(["success", "success"]);
+      for (const [i, tx] of transactions.entries()) {
+        const receipt = await ethers.provider.getTransactionReceipt(sends[i].result);
+        expect(tx.gasUsed).to.equal(Number(receipt.gasUsed)).and.to.be.greaterThan(0);
+      }
+    });
+
+    it("Should leave transactions the test never mined pending", async function () {
+      const { token, owner, addr1 } = await loadFixture(deployTokenFixture);
+      await network.provider.send("evm_setAutomine", [false]);
+      const params = await sendParams(token, owner, "transfer", [addr1.address, HUNDRED_TOKENS]);
+      const hash = await network.provider.send("eth_sendTransaction", params);
+
+      const [sent] = await describeTransactions([{ method: "eth_sendTransaction", params, result: hash, error: null }]);
+
+      expect(sent).to.include({ hash, method: "transfer", status: "pending", gasUsed: null });
+      await network.provider.send("hardhat_dropTransaction", [hash]);
+    });
+  });
+
+  describe("Rendering", function () {
+    const tests = [
+      {
+        file: "test/unit/A.test.js",
+        suite: "A",
+        title: "passes <fast>",
+        fullTitle: "A passes <fast>",
+        state: "passed",
+        durationMs: 120,
+        transactions: [{ gasUsed: 50_000 }, { gasUsed: 30_000 }],
+        gasUsed: 80_000,
+        assertedErrors: ["InsufficientFee"],
+        error: null,
+      },
+      {
+        file: "test/unit/A.test.js",
+        suite: "A",
+        title: "fails",
+        fullTitle: "A fails",
+        state: "failed",
+        durationMs: 30,
+        transactions: [],
+        gasUsed: 0,
+        assertedErrors: [],
+        error: { message: 'expected "a" & "b"\nsecond line', stack: "stack" },
+      },
+      {
+        file: "test/unit/B.test.js",
+        suite: "B",
+        title: "is skipped",
+        fullTitle: "B is skipped",
+        state: "pending",
+        durationMs: 0,
+        transactions: [],
+        gasUsed: 0,
+        assertedErrors: [],
+        error: null,
+      },
+    ];
+
+    it("Should summarize counts, duration, transactions and gas", async function () {
+      expect(summarize(tests)).to.deep.equal({
+        tests: 3,
+        passed: 1,
+        failed: 1,
+        pending: 1,
+        durationMs: 150,
+        transactions: 2,
+        gasUsed: 80_000,
+      });
+    });
+
+    it("Should group JUnit test cases by file and escape XML", async function () {
+      const xml = renderJUnit(tests, summarize(tests));
+
+      expect(xml).to.include('<testsuites name="Hardhat Tests" tests="3" failures="1" skipped="1" time="0.15">');
+      expect(xml.match(/<testsuite /g)).to.have.lengthOf(2);
+      expect(xml).to.include('name="passes &lt;fast&gt;"');
+      expect(xml).to.include('<property name="gasUsed" value="80000"/>');
+      expect(xml).to.include('<failure message="expected &quot;a&quot; &amp; &quot;b&quot;\nsecond line">stack</failure>');
+      expect(xml).to.include("<skipped/>");
+    });
+
+    it("Should list failures and the heaviest tests in Markdown", async function () {
+      const markdown = renderMarkdown(tests, summarize(tests));
+
+      expect(markdown).to.match(/^## ❌ Test Report/);
+      expect(markdown).to.include("| 3 | 1 | 1 | 1 | 0.1s | 2 | 80,000 |");
+      expect(markdown).to.include('- **A fails** (test/unit/A.test.js)\n  `expected "a" & "b"`');
+      expect(markdown.split("### Most Gas")[1].split("\n")[4]).to.equal("| A passes <fast> | 120ms | 2 | 80,000 |");
+    });
+  });
+});
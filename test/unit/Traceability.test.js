@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+const Mocha = require("mocha");
+const { buildTraceability, collectResults, renderChecklist, updateReadmeChecklist } = require("../helpers/traceability");
+
+describe("Requirement Traceability", function () {
+  const REQUIREMENTS = [
+    { id: "REQ-MINT", title: "Minting" },
+    { id: "REQ-BURN", title: "Burning" },
+    { id: "REQ-PAUSE", title: "Pausing" },
+  ];
+
+  describe("buildTraceability", function () {
+    it("Should mark requirements passing, failing or untested from their tagged tests", function () {
+      const report = buildTraceability(
+        [
+          { fullTitle: "Minting @REQ-MINT Should mint", state: "passed", file: "a.test.js" },
+          { fullTitle: "Burning @REQ-BURN Should burn", state: "passed", file: "a.test.js" },
+          { fullTitle: "Burning @REQ-BURN Should not burn twice", state: "failed", file: "a.test.js" },
+        ],
+        REQUIREMENTS
+      );
+
+      expect(report.requirements.map((row) => [row.id, row.status, row.passing, row.failing])).to.deep.equal([
+        ["REQ-MINT", "passing", 1, 0],
+        ["REQ-BURN", "failing", 1, 1],
+        ["REQ-PAUSE", "untested", 0, 0],
+      ]);
+      expect(report.untested).to.deep.equal(["REQ-PAUSE"]);
+    });
+
+    it("Should not count pending tests as passing", function () {
+      const report = buildTraceability([{ fullTitle: "Should pause @REQ-PAUSE", state: "pending", file: "" }], REQUIREMENTS);
+
+      expect(report.requirements[2]).to.include({ status: "untested", passing: 0, failing: 0 });
+      expect(report.requirements[2].tests).to.have.lengthOf(1);
+    });
+
+    it("Should flag tags that aren't requirements", function () {
+      const report = buildTraceability(
+        [{ fullTitle: "Should mint @REQ-MINT @REQ-MINTING @REQ-AIRDROP", state: "passed", file: "" }],
+        REQUIREMENTS
+      );
+
+      expect(report.unknownTags).to.deep.equal(["REQ-AIRDROP", "REQ-MINTING"]);
+    });
+  });
+
+  describe("collectResults", function () {
+    function suiteWith(files) {
+      const root = new Mocha.Suite("", undefined, true);
+      const suites = {};
+      for (const [file, title] of files) {
+        const suite = Mocha.Suite.create(root, title);
+        const test = new Mocha.Test(`Should work @${title}`, function () {});
+        test.file = file;
+        suite.addTest(test);
+        suites[title] = { suite, test };
+      }
+      return { root, suites };
+    }
+
+    function record(test, state) {
+      return [test, { fullTitle: test.fullTitle(), state, file: test.file }];
+    }
+
+    it("Should be complete when every test in every file ran", function () {
+      const { root, suites } = suiteWith([["/t/mint.test.js", "REQ-MINT"], ["/t/burn.test.js", "REQ-BURN"]]);
+      const recorded = new Map([record(suites["REQ-MINT"].test, "passed"), record(suites["REQ-BURN"].test, "passed")]);
+
+      const collected = collectResults(root, recorded, ["/t/mint.test.js", "/t/burn.test.js"]);
+
+      expect(collected.complete).to.be.true;
+      expect(collected.results).to.have.lengthOf(2);
+    });
+
+    it("Should be partial when a test file wasn't loaded", function () {
+      const { root, suites } = suiteWith([["/t/mint.test.js", "REQ-MINT"]]);
+      const recorded = new Map([record(suites["REQ-MINT"].test, "passed")]);
+
+      const collected = collectResults(root, recorded, ["/t/mint.test.js", "/t/burn.test.js"]);
+
+      expect(collected.complete).to.be.false;
+      expect(collected.notLoaded).to.deep.equal(["/t/burn.test.js"]);
+    });
+
+    it("Should be partial when loaded tests didn't run", function () {
+      const { root, suites } = suiteWith([["/t/mint.test.js", "REQ-MINT"], ["/t/burn.test.js", "REQ-BURN"]]);
+      const recorded = new Map([record(suites["REQ-MINT"].test, "passed")]);
+
+      const collected = collectResults(root, recorded, ["/t/mint.test.js", "/t/burn.test.js"]);
+
+      expect(collected.complete).to.be.false;
+      expect(collected.notRun).to.deep.equal(["REQ-BURN Should work @REQ-BURN"]);
+      expect(collected.results).to.have.lengthOf(1);
+    });
+
+    it("Should fail the tests of a suite whose before hook failed", function () {
+      const { root, suites } = suiteWith([["/t/mint.test.js", "REQ-MINT"], ["/t/burn.test.js", "REQ-BURN"]]);
+      suites["REQ-BURN"].suite.beforeAll("deploy", function () {});
+      suites["REQ-BURN"].suite._beforeAll[0].state = "failed";
+      const recorded = new Map([record(suites["REQ-MINT"].test, "passed")]);
+
+      const collected = collectResults(root, recorded, ["/t/mint.test.js", "/t/burn.test.js"]);
+      const report = buildTraceability(collected.results, REQUIREMENTS);
+
+      expect(collected.complete).to.be.true;
+      expect(collected.results[1]).to.include({ state: "failed", hook: "\"before all\" hook: deploy" });
+      expect(report.requirements[1].status).to.equal("failing");
+    });
+
+    it("Should leave skipped tests out", function () {
+      const { root, suites } = suiteWith([["/t/mint.test.js", "REQ-MINT"]]);
+      const skipped = new Mocha.Test("Should be written later");
+      skipped.file = "/t/mint.test.js";
+      suites["REQ-MINT"].suite.addTest(skipped);
+      const recorded = new Map([record(suites["REQ-MINT"].test, "passed")]);
+
+      const collected = collectResults(root, recorded, ["/t/mint.test.js"]);
+
+      expect(collected.complete).to.be.true;
+      expect(collected.results).to.have.lengthOf(1);
+    });
+  });
+
+  describe("updateReadmeChecklist", function () {
+    const README = [
+      "# Token",
+      "<!-- coverage-checklist:start -->",
+      "- ⚠️ Minting (no tests)",
+      "<!-- coverage-checklist:end -->",
+      "More text",
+    ].join("\n");
+
+    it("Should replace only the lines between the markers", function () {
+      const report = buildTraceability([{ fullTitle: "Should mint @REQ-MINT", state: "passed", file: "" }], REQUIREMENTS);
+
+      const updated = updateReadmeChecklist(README, renderChecklist(report));
+
+      expect(updated).to.equal(
+        [
+          "# Token",
+          "<!-- coverage-checklist:start -->",
+          "- ✅ Minting",
+          "- ⚠️ Burning (no tests)",
+          "- ⚠️ Pausing (no tests)",
+          "<!-- coverage-checklist:end -->",
+          "More text",
+        ].join("\n")
+      );
+    });
+
+    it("Should give the same README when run twice", function () {
+      const checklist = "- ✅ Minting";
+
+      const once = updateReadmeChecklist(README, checklist);
+
+      expect(updateReadmeChecklist(once, checklist)).to.equal(once);
+    });
+
+    it("Should throw when the markers are missing", function () {
+      expect(() => updateReadmeChecklist("# Token\n", "- ✅ Minting")).to.throw("no <!-- coverage-checklist:start -->");
+    });
+  });
+});